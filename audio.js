@@ -0,0 +1,278 @@
+/**
+ * Procedural cube sounds
+ * Everything is synthesised with WebAudio - no samples to load:
+ *   turn start  A light click as the layer breaks away (filtered noise)
+ *   turn end    The clack of it seating: a noise burst over a short, falling knock
+ *   solve       A rising drone and rush of air that follows a solve's speed-up
+ *
+ * Quicker turns click higher and shorter, half turns lower and longer, and each sound
+ * is panned to where its cube is across the view.
+ *
+ * Browsers only let a page make sound once someone has interacted with it, so nothing
+ * plays (and sounds asked for are dropped) until the first pointer press or key press -
+ * or straight away if the page has had one already.
+ *
+ * A grid can ask for hundreds of sounds in one frame (sync mode turns every cube at
+ * once). They're gathered up and played by flush() once a frame, through a limited
+ * number of voices: when there are more sounds than free voices, an even spread of
+ * them across the view plays, each a little louder for the ones it stands in for.
+ *
+ * Usage:
+ *   import { CubeAudio } from './audio.js';
+ *   const audio = new CubeAudio({ volume: 0.6 });
+ *   audio.turnStart({ pan: -0.5, turnAmount: 1, duration: 300 }); // once per turn
+ *   audio.turnEnd({ pan: -0.5, turnAmount: 1, duration: 300 });
+ *   audio.flush();             // once a frame
+ *   audio.setSolveSpeed(12);   // while solving (0 when not)
+ *   audio.dispose();
+ */
+
+const MAX_VOICES = 12;
+
+// Turn sounds are tuned for a turn of this long (ms) - see speedFactor()
+const REFERENCE_DURATION = 300;
+
+// Drone pitch (Hz) at the start of a solve, and the speed-up that brings it up two octaves
+const DRONE_BASE_PITCH = 73.4; // D2
+const DRONE_TOP_SPEED = 25;
+// The drone's oscillators, as multiples of its pitch: root, fifth and a slightly sharp octave
+const DRONE_RATIOS = [1, 1.5, 2.003];
+
+// Events that count as the user interacting, for the browser's autoplay rules
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
+// How much quicker than REFERENCE_DURATION a turn is (0.25 - 8)
+function speedFactor(duration) {
+  return Math.min(8, Math.max(0.25, REFERENCE_DURATION / Math.max(1, duration)));
+}
+
+// Pick count items spread evenly through a list
+function spread(items, count) {
+  const step = items.length / count;
+  return Array.from({ length: count }, (_, i) => items[Math.floor((i + 0.5) * step)]);
+}
+
+export class CubeAudio {
+  /**
+   * @param {Object} options
+   * @param {number} options.volume - 0 - 1 (default 0.6)
+   * @param {number} options.maxVoices - Turn sounds that can play at once (default 12)
+   */
+  constructor({ volume = 0.6, maxVoices = MAX_VOICES } = {}) {
+    this.volume = volume;
+    this.maxVoices = maxVoices;
+    this.context = null;   // Created on the first interaction (see unlock)
+    this.voiceEnds = [];   // Context times the playing turn sounds end at
+    this.pending = [];     // Turn sounds asked for since the last flush
+    this.solveSpeed = 0;
+    this.isDisposed = false;
+
+    this.unlock = this.unlock.bind(this);
+    if (typeof navigator !== 'undefined' && navigator.userActivation && navigator.userActivation.hasBeenActive) {
+      this.unlock();
+    } else {
+      UNLOCK_EVENTS.forEach(type => window.addEventListener(type, this.unlock, { capture: true }));
+    }
+  }
+
+  // Start the audio graph - called from an interaction, or once the page has had one
+  unlock() {
+    UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, this.unlock, { capture: true }));
+    if (this.context || this.isDisposed) return;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    const context = new AudioContext();
+    this.context = context;
+
+    // Everything goes through a compressor, so a crowd of clacks doesn't clip
+    this.master = context.createGain();
+    this.master.gain.value = this.volume;
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -18;
+    compressor.ratio.value = 6;
+    this.master.connect(compressor);
+    compressor.connect(context.destination);
+
+    // A second of white noise, played from a random point by every turn sound
+    const length = context.sampleRate;
+    this.noise = context.createBuffer(1, length, context.sampleRate);
+    const samples = this.noise.getChannelData(0);
+    for (let i = 0; i < length; i++) samples[i] = Math.random() * 2 - 1;
+
+    this.createSolveDrone();
+    this.setSolveSpeed(this.solveSpeed);
+    if (context.state === 'suspended') context.resume();
+  }
+
+  // Sawtooths a fifth and an octave apart through a low-pass filter, and noise through
+  // a high-pass one - silent until setSolveSpeed()
+  createSolveDrone() {
+    const context = this.context;
+    this.droneGain = context.createGain();
+    this.droneGain.gain.value = 0;
+    this.droneFilter = context.createBiquadFilter();
+    this.droneFilter.type = 'lowpass';
+    this.droneFilter.Q.value = 4;
+    this.droneFilter.connect(this.droneGain);
+    this.droneGain.connect(this.master);
+
+    this.droneOscillators = DRONE_RATIOS.map(ratio => {
+      const oscillator = context.createOscillator();
+      oscillator.type = 'sawtooth';
+      oscillator.frequency.value = DRONE_BASE_PITCH * ratio;
+      oscillator.connect(this.droneFilter);
+      oscillator.start();
+      return oscillator;
+    });
+
+    this.rushGain = context.createGain();
+    this.rushGain.gain.value = 0;
+    this.rushFilter = context.createBiquadFilter();
+    this.rushFilter.type = 'highpass';
+    this.rush = context.createBufferSource();
+    this.rush.buffer = this.noise;
+    this.rush.loop = true;
+    this.rush.connect(this.rushFilter);
+    this.rushFilter.connect(this.rushGain);
+    this.rushGain.connect(this.master);
+    this.rush.start();
+  }
+
+  /**
+   * Follow a solve's speed-up
+   * @param {number} multiplier - The solving cubes' speed multiplier (1 - 25), 0 when nothing is solving
+   */
+  setSolveSpeed(multiplier) {
+    this.solveSpeed = multiplier;
+    if (!this.context) return;
+    const now = this.context.currentTime;
+
+    if (multiplier <= 0) {
+      this.droneGain.gain.setTargetAtTime(0, now, 0.25);
+      this.rushGain.gain.setTargetAtTime(0, now, 0.25);
+      return;
+    }
+
+    // 0 at the start of a solve, 1 at full speed
+    const rise = Math.min(1, Math.log(multiplier) / Math.log(DRONE_TOP_SPEED));
+    const pitch = DRONE_BASE_PITCH * Math.pow(4, rise);
+    this.droneOscillators.forEach((oscillator, i) => {
+      oscillator.frequency.setTargetAtTime(pitch * DRONE_RATIOS[i], now, 0.1);
+    });
+    this.droneFilter.frequency.setTargetAtTime(300 + 4000 * rise * rise, now, 0.1);
+    this.droneGain.gain.setTargetAtTime(0.04 + 0.06 * rise, now, 0.1);
+    this.rushFilter.frequency.setTargetAtTime(800 + 5000 * rise, now, 0.1);
+    this.rushGain.gain.setTargetAtTime(0.02 + 0.1 * rise * rise, now, 0.1);
+  }
+
+  /**
+   * The click of a layer starting to turn
+   * @param {Object} sound
+   * @param {number} sound.pan - Where the cube is across the view (-1 left to 1 right)
+   * @param {number} sound.turnAmount - 1 for a quarter turn, 2 for a half turn
+   * @param {number} sound.duration - How long the turn takes to animate (ms)
+   */
+  turnStart(sound) {
+    this.queue({ ...sound, kind: 'start' });
+  }
+
+  // The clack of a layer seating at the end of its turn (same sound object as turnStart)
+  turnEnd(sound) {
+    this.queue({ ...sound, kind: 'end' });
+  }
+
+  queue(sound) {
+    if (this.context && this.context.state === 'running') this.pending.push(sound);
+  }
+
+  // Play the sounds asked for since the last flush, as many as there are free voices for
+  flush() {
+    if (this.pending.length === 0) return;
+    const now = this.context.currentTime;
+    this.voiceEnds = this.voiceEnds.filter(end => end > now);
+
+    let sounds = this.pending;
+    this.pending = [];
+    const free = this.maxVoices - this.voiceEnds.length;
+    if (free <= 0) return;
+
+    let gain = 1;
+    if (sounds.length > free) {
+      // Left to right, so the sounds kept cover the whole view
+      sounds.sort((a, b) => a.pan - b.pan);
+      gain = Math.min(2, Math.sqrt(sounds.length / free));
+      sounds = spread(sounds, free);
+    }
+    sounds.forEach(sound => this.voiceEnds.push(this.playTurnSound(sound, now, gain)));
+  }
+
+  // One click or clack, starting at time - returns when it ends
+  playTurnSound({ kind, pan, turnAmount, duration }, time, gain) {
+    const context = this.context;
+    const speed = speedFactor(duration);
+    // Quicker turns are higher and shorter; half turns lower and longer; no two alike
+    const pitch = Math.pow(speed, 0.25) * (turnAmount === 2 ? 0.85 : 1) * (0.92 + Math.random() * 0.16);
+    const length = Math.pow(speed, -0.3) * (turnAmount === 2 ? 1.3 : 1);
+
+    const output = context.createStereoPanner();
+    output.pan.value = Math.max(-1, Math.min(1, pan));
+    output.connect(this.master);
+
+    const decay = (kind === 'start' ? 0.025 : 0.06) * length;
+    const noise = context.createBufferSource();
+    noise.buffer = this.noise;
+    const band = context.createBiquadFilter();
+    band.type = 'bandpass';
+    band.frequency.value = (kind === 'start' ? 3200 : 1600) * pitch;
+    band.Q.value = kind === 'start' ? 1.5 : 0.8;
+    const noiseGain = context.createGain();
+    noiseGain.gain.setValueAtTime((kind === 'start' ? 0.25 : 0.5) * gain, time);
+    noiseGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+    noise.connect(band);
+    band.connect(noiseGain);
+    noiseGain.connect(output);
+    noise.start(time, Math.random() * (this.noise.duration - decay), decay);
+
+    if (kind === 'start') return time + decay;
+
+    // The knock of the layer landing: a triangle wave dropping in pitch
+    const knock = context.createOscillator();
+    knock.type = 'triangle';
+    knock.frequency.setValueAtTime(260 * pitch, time);
+    knock.frequency.exponentialRampToValueAtTime(140 * pitch, time + decay);
+    const knockGain = context.createGain();
+    knockGain.gain.setValueAtTime(0.35 * gain, time);
+    knockGain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+    knock.connect(knockGain);
+    knockGain.connect(output);
+    knock.start(time);
+    knock.stop(time + decay);
+    return time + decay;
+  }
+
+  // 0 - 1
+  setVolume(volume) {
+    this.volume = volume;
+    if (this.context) this.master.gain.setTargetAtTime(volume, this.context.currentTime, 0.05);
+  }
+
+  // Hold everything (e.g. while the grid sleeps in a background tab)
+  setPaused(paused) {
+    if (!this.context) return;
+    this.pending = [];
+    if (paused) {
+      this.context.suspend();
+    } else {
+      this.context.resume();
+    }
+  }
+
+  dispose() {
+    this.isDisposed = true;
+    UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, this.unlock, { capture: true }));
+    if (this.context) this.context.close();
+    this.context = null;
+    this.pending = [];
+  }
+}
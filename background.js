@@ -0,0 +1,78 @@
+/**
+ * Grid background
+ * What shows between the cubes. A background is one of
+ *   a colour     0x101010 or "#101010"
+ *   a gradient   "linear-gradient(#1c2541, #000000)" - top to bottom, as in CSS
+ *   transparent  "transparent" - nothing is drawn, so the page shows through
+ *
+ * Every kind comes down to { top, bottom, alpha }, so any background can fade into any
+ * other along with a colour scheme. It's drawn as a quad filling the view, behind
+ * everything else whatever the camera, into a renderer with an alpha channel that
+ * clears to nothing.
+ *
+ * Usage:
+ *   import { Backdrop } from './background.js';
+ *   const backdrop = new Backdrop();
+ *   scene.add(backdrop.mesh);
+ *   backdrop.set({ top: 0x1c2541, bottom: 0x000000, alpha: 1 });
+ */
+
+import * as THREE from 'three';
+
+const vertexShader = `
+varying float vHeight;
+void main() {
+  vHeight = uv.y;
+  // Straight to clip space: the whole view, at the far plane
+  gl_Position = vec4(position.xy, 1.0, 1.0);
+}
+`;
+
+// Colours stay in sRGB and go out as they are, so the gradient blends like a CSS one.
+// Premultiplied, as the canvas expects - and the buffer under it is clear, so this is
+// the same as blending it over nothing
+const fragmentShader = `
+uniform vec3 topColor;
+uniform vec3 bottomColor;
+uniform float opacity;
+varying float vHeight;
+void main() {
+  gl_FragColor = vec4(mix(bottomColor, topColor, vHeight) * opacity, opacity);
+}
+`;
+
+export class Backdrop {
+  constructor() {
+    this.uniforms = {
+      topColor: { value: new THREE.Color() },
+      bottomColor: { value: new THREE.Color() },
+      opacity: { value: 1 }
+    };
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    // Drawn first, and never culled - its vertices ignore the camera
+    this.mesh.renderOrder = -1;
+    this.mesh.frustumCulled = false;
+  }
+
+  /**
+   * Show a background
+   * @param {Object} background - { top, bottom } as 0xRRGGBB, and alpha (0 - 1)
+   */
+  set({ top, bottom, alpha }) {
+    this.uniforms.topColor.value.setHex(top, THREE.LinearSRGBColorSpace);
+    this.uniforms.bottomColor.value.setHex(bottom, THREE.LinearSRGBColorSpace);
+    this.uniforms.opacity.value = alpha;
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+}
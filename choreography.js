@@ -0,0 +1,295 @@
+/**
+ * Choreography scripts
+ * A show described in JSON: timed events that make some or all cubes play moves,
+ * solve, or switch the colour scheme. RubiksGrid.playChoreography() in sketch.js
+ * plays one back, and can seek to any point of it.
+ *
+ *   {
+ *     "duration": "10s",              // optional, defaults to when the last event ends
+ *     "loop": false,
+ *     "events": [
+ *       { "at": 0, "moves": "R U R' U'" },
+ *       { "at": "4s", "cubes": { "region": "left" }, "solve": true },
+ *       { "at": "6s", "colorScheme": "neon" }
+ *     ]
+ *   }
+ *
+ * Times are milliseconds, or strings like "4s" / "500ms". Each event does one thing:
+ *   moves        Notation (or a move list) for every selected cube
+ *   solve        true - the selected cubes solve from wherever they are
+ *   colorScheme  Fade the whole grid to a scheme
+ *
+ * `cubes` picks which cubes an event applies to ("all" by default), going by the view
+ * when the show starts (it stays put if the view pans). Every condition given has to match:
+ *   row, col     A grid row / column (0 is the cube in the middle of the view, rows count
+ *                downwards), or an inclusive [from, to] range
+ *   region       "left", "right", "top" or "bottom" half of the view, or
+ *                [left, top, right, bottom] as fractions of it (0 - 1)
+ *   every        Every Nth of the cubes matching the rest, in reading order
+ *   offset       Which of each N to take (default 0)
+ *
+ * A cube that is still busy when an event comes due starts it as soon as it is free.
+ * Everything is worked out per cube when the script starts (solves included, on a
+ * headless model), which is what makes seeking exact. Solves speed up as they go, like
+ * any other solve.
+ *
+ * Usage:
+ *   import { parseChoreography, selectCubes, buildTimeline } from './choreography.js';
+ *   const script = parseChoreography(json);
+ */
+
+import { CubeModel, appendReduced } from './cube-model.js';
+import { solveCube } from './solver.js';
+import { toMoves } from './notation.js';
+
+const ACTIONS = ['moves', 'solve', 'colorScheme'];
+const AXES = ['x', 'y', 'z'];
+const SELECTOR_KEYS = ['row', 'col', 'region', 'every', 'offset'];
+const REGIONS = {
+  left: [0, 0, 0.5, 1],
+  right: [0.5, 0, 1, 1],
+  top: [0, 0, 1, 0.5],
+  bottom: [0, 0.5, 1, 1]
+};
+
+// Milliseconds from a number (ms) or a string like "4s", "1.5s" or "500ms"
+function parseTime(value, where) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+  const match = typeof value === 'string' && /^\s*(\d+(?:\.\d+)?)\s*(ms|s)?\s*$/.exec(value);
+  if (!match) {
+    throw new Error(`parseChoreography: ${where} must be a time like 1500, "1.5s" or "1500ms" (got ${JSON.stringify(value)})`);
+  }
+  return parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1);
+}
+
+// A row / column condition: a whole number or an inclusive [from, to] range
+function parseRange(value, where) {
+  const range = Array.isArray(value) ? value : [value, value];
+  if (range.length !== 2 || !range.every(Number.isInteger) || range[0] > range[1]) {
+    throw new Error(`parseChoreography: ${where} must be a whole number or a [from, to] range`);
+  }
+  return range;
+}
+
+// One entry of a moves list: { axis, layer, dir, turnAmount }, the layer a layer index or
+// a list of them (below order, when it's known)
+function checkMove(move, where, order) {
+  if (typeof move !== 'object' || move === null || Array.isArray(move)) {
+    throw new Error(`parseChoreography: ${where} must be a move like { axis: 'x', layer: 0, dir: 1, turnAmount: 1 }`);
+  }
+  if (!AXES.includes(move.axis)) {
+    throw new Error(`parseChoreography: ${where}.axis must be x, y or z (got ${JSON.stringify(move.axis)})`);
+  }
+  const layers = Array.isArray(move.layer) ? move.layer : [move.layer];
+  const limit = order === null ? Infinity : order;
+  if (layers.length === 0 || !layers.every(layer => Number.isInteger(layer) && layer >= 0 && layer < limit)) {
+    const range = order === null ? 'a layer from 0' : `a layer from 0 to ${order - 1}`;
+    throw new Error(`parseChoreography: ${where}.layer must be ${range}, or a list of them (got ${JSON.stringify(move.layer)})`);
+  }
+  if (move.dir !== 1 && move.dir !== -1) {
+    throw new Error(`parseChoreography: ${where}.dir must be 1 or -1 (got ${JSON.stringify(move.dir)})`);
+  }
+  if (move.turnAmount !== 1 && move.turnAmount !== 2) {
+    throw new Error(`parseChoreography: ${where}.turnAmount must be 1 or 2 (got ${JSON.stringify(move.turnAmount)})`);
+  }
+}
+
+function parseSelector(cubes, where) {
+  if (cubes === undefined || cubes === 'all') return {};
+  if (typeof cubes !== 'object' || cubes === null || Array.isArray(cubes)) {
+    throw new Error(`parseChoreography: ${where} must be "all" or an object with ${SELECTOR_KEYS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(cubes).filter(key => !SELECTOR_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`parseChoreography: ${where} has unknown keys ${unknown.join(', ')}`);
+  }
+
+  const selector = {};
+  if (cubes.row !== undefined) selector.row = parseRange(cubes.row, `${where}.row`);
+  if (cubes.col !== undefined) selector.col = parseRange(cubes.col, `${where}.col`);
+  if (cubes.region !== undefined) {
+    const region = REGIONS[cubes.region] || cubes.region;
+    if (!Array.isArray(region) || region.length !== 4 || !region.every(n => typeof n === 'number')) {
+      throw new Error(`parseChoreography: ${where}.region must be left, right, top, bottom or [left, top, right, bottom]`);
+    }
+    selector.region = region;
+  }
+  if (cubes.every !== undefined) {
+    if (!Number.isInteger(cubes.every) || cubes.every < 1) {
+      throw new Error(`parseChoreography: ${where}.every must be a whole number from 1`);
+    }
+    const offset = cubes.offset === undefined ? 0 : cubes.offset;
+    if (!Number.isInteger(offset) || offset < 0 || offset >= cubes.every) {
+      throw new Error(`parseChoreography: ${where}.offset must be a whole number below every`);
+    }
+    selector.every = cubes.every;
+    selector.offset = offset;
+  } else if (cubes.offset !== undefined) {
+    throw new Error(`parseChoreography: ${where}.offset needs every`);
+  }
+  return selector;
+}
+
+function parseEvent(event, index, order) {
+  const where = `events[${index}]`;
+  if (typeof event !== 'object' || event === null) {
+    throw new Error(`parseChoreography: ${where} must be an object`);
+  }
+
+  const actions = ACTIONS.filter(action => event[action] !== undefined);
+  if (actions.length !== 1) {
+    throw new Error(`parseChoreography: ${where} needs exactly one of ${ACTIONS.join(', ')}`);
+  }
+
+  const parsed = { at: parseTime(event.at === undefined ? 0 : event.at, `${where}.at`), index };
+  const action = actions[0];
+  if (action === 'moves') {
+    if (typeof event.moves !== 'string' && !Array.isArray(event.moves)) {
+      throw new Error(`parseChoreography: ${where}.moves must be notation or a list of moves`);
+    }
+    if (Array.isArray(event.moves)) {
+      event.moves.forEach((move, i) => checkMove(move, `${where}.moves[${i}]`, order));
+    }
+    parsed.moves = event.moves;
+  } else if (action === 'solve') {
+    if (event.solve !== true) {
+      throw new Error(`parseChoreography: ${where}.solve must be true`);
+    }
+    parsed.solve = true;
+  } else {
+    if (typeof event.colorScheme !== 'string') {
+      throw new Error(`parseChoreography: ${where}.colorScheme must be a scheme name`);
+    }
+    if (event.cubes !== undefined && event.cubes !== 'all') {
+      throw new Error(`parseChoreography: ${where} changes the colour scheme for the whole grid, so it can't pick cubes`);
+    }
+    parsed.colorScheme = event.colorScheme;
+  }
+
+  parsed.cubes = parseSelector(event.cubes, `${where}.cubes`);
+  return parsed;
+}
+
+/**
+ * Check a script and put it in a normal form
+ * @param {string|Object} script - JSON text or the parsed object
+ * @param {Object} options
+ * @param {number} options.order - Cube order, to check move lists' layers against (default: any)
+ * @returns {Object} - { duration (ms, or null to work out from the events), loop, events }
+ *   with events sorted by time
+ */
+export function parseChoreography(script, { order = null } = {}) {
+  let data = script;
+  if (typeof script === 'string') {
+    try {
+      data = JSON.parse(script);
+    } catch (error) {
+      throw new Error(`parseChoreography: not valid JSON (${error.message})`);
+    }
+  }
+  if (typeof data !== 'object' || data === null || !Array.isArray(data.events)) {
+    throw new Error('parseChoreography: a script needs an events list');
+  }
+
+  const events = data.events.map((event, index) => parseEvent(event, index, order));
+  // Keep the script's order for events at the same time
+  events.sort((a, b) => a.at - b.at || a.index - b.index);
+
+  return {
+    duration: data.duration === undefined ? null : parseTime(data.duration, 'duration'),
+    loop: data.loop === true,
+    events
+  };
+}
+
+/**
+ * Cubes a selector picks
+ * @param {Object} selector - A parsed event's cubes
+ * @param {Array} cubes - [{ row, col, u, v }] with u/v the cube's position across / down the view (0 - 1)
+ * @returns {Set<number>} - Indices into cubes
+ */
+export function selectCubes(selector, cubes) {
+  const inRange = (value, range) => !range || (value >= range[0] && value <= range[1]);
+
+  const matching = [];
+  cubes.forEach((cube, i) => {
+    if (!inRange(cube.row, selector.row) || !inRange(cube.col, selector.col)) return;
+    if (selector.region) {
+      const [left, top, right, bottom] = selector.region;
+      if (cube.u < left || cube.u > right || cube.v < top || cube.v > bottom) return;
+    }
+    matching.push(i);
+  });
+
+  if (selector.every) {
+    // Reading order: row by row, left to right
+    matching.sort((a, b) => cubes[a].row - cubes[b].row || cubes[a].col - cubes[b].col);
+    return new Set(matching.filter((_, n) => n % selector.every === selector.offset));
+  }
+  return new Set(matching);
+}
+
+/**
+ * How much faster than usual a solve turns at a point in it: from 1x at the start up to
+ * 25x, easing out so it speeds up quickly and then levels off
+ * (RubiksCube.getSolveSpeedMultiplier in sketch.js, and solves in a script)
+ * @param {number} progress - 0 - 1, the share of the solve's moves started so far
+ * @returns {number}
+ */
+export function solveSpeedMultiplier(progress) {
+  const eased = 1 - Math.pow(1 - progress, 3);
+  return 1 + (25 - 1) * eased;
+}
+
+/**
+ * Every move one cube makes in a script, with its start time
+ * Plays the events through a headless model, so solves know what they're solving.
+ * Solves speed up as they go, just as one the page asks for does.
+ * @param {Array} events - The parsed events that apply to this cube, in time order
+ * @param {Object} options
+ * @param {number} options.order - Cube order
+ * @param {Function} options.moveDuration - (move) => how long it takes to animate, in ms
+ * @param {Map} options.solutions - Solutions found so far, by cube state - shared between
+ *   calls, so cubes that end up alike (most of them, in most scripts) only solve once
+ * @returns {Array} - [{ start, duration, speedUp, move }] in time order (speedUp: how
+ *   much faster than moveDuration() the move runs)
+ */
+export function buildTimeline(events, { order, moveDuration, solutions = new Map() }) {
+  const model = new CubeModel(order);
+  const timeline = [];
+  // Moves since the cube was last solved, reduced - sizes other than 3x3 solve by undoing
+  // them, so a solve is never longer than the script's own moves before it
+  let sinceSolved = [];
+  let free = 0;
+
+  events.forEach(event => {
+    let moves;
+    if (event.moves) {
+      moves = toMoves(event.moves, order);
+    } else if (order === 3) {
+      const state = JSON.stringify(model.getFacelets());
+      if (!solutions.has(state)) solutions.set(state, solveCube(model));
+      moves = solutions.get(state);
+    } else {
+      moves = sinceSolved.slice().reverse().map(m => ({ ...m, dir: -m.dir }));
+    }
+
+    let time = Math.max(event.at, free);
+    moves.forEach((move, i) => {
+      const speedUp = event.solve ? solveSpeedMultiplier((i + 1) / moves.length) : 1;
+      const duration = moveDuration(move) / speedUp;
+      timeline.push({ start: time, duration, speedUp, move });
+      time += duration;
+
+      model.applyMove(move);
+      if (model.isSolved()) {
+        sinceSolved = [];
+      } else {
+        appendReduced(sinceSolved, move);
+      }
+    });
+    free = time;
+  });
+  return timeline;
+}
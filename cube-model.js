@@ -0,0 +1,238 @@
+/**
+ * Headless Rubik's cube model
+ * Tracks every cubie and sticker in plain JS (no Three.js, no WebGL), so solving,
+ * pattern detection and tests can run in Node as well as the browser.
+ *
+ * Coordinates match RubiksCube in sketch.js: each axis has layers 0..order-1,
+ * layer 0 is left / bottom / back and the last layer is right / top / front.
+ * A move { axis, layer, dir, turnAmount } turns that layer by dir * 90° * turnAmount
+ * around its axis (right-hand rule, same as the Three.js pivot rotation). `layer`
+ * can also be an array of layers for wide moves and whole-cube rotations.
+ *
+ * Usage:
+ *   import { CubeModel } from './cube-model.js';
+ *   const model = new CubeModel();
+ *   model.applyMove({ axis: 'x', layer: 2, dir: -1, turnAmount: 1 });
+ *   model.isSolved(); // false
+ */
+
+// Face names in the same order as the BoxGeometry material slots
+export const FACES = ['right', 'left', 'top', 'bottom', 'front', 'back'];
+
+// Outward normal of each face
+const FACE_NORMALS = {
+  right: [1, 0, 0],
+  left: [-1, 0, 0],
+  top: [0, 1, 0],
+  bottom: [0, -1, 0],
+  front: [0, 0, 1],
+  back: [0, 0, -1]
+};
+
+// Find the face a normal vector points out of
+function faceFromNormal(normal) {
+  return FACES.find(face => {
+    const n = FACE_NORMALS[face];
+    return n[0] === normal[0] && n[1] === normal[1] && n[2] === normal[2];
+  });
+}
+
+// Whether a move's layer (a number, or an array for multi-layer moves) includes a layer index
+export function layerIncludes(layer, index) {
+  return Array.isArray(layer) ? layer.includes(index) : layer === index;
+}
+
+// Layers of a move as an array
+export function toLayerList(layer) {
+  return Array.isArray(layer) ? layer : [layer];
+}
+
+// Whether two moves turn exactly the same layers (3 and [3] count as the same)
+export function sameLayers(a, b) {
+  const listA = toLayerList(a).slice().sort((m, n) => m - n);
+  const listB = toLayerList(b).slice().sort((m, n) => m - n);
+  return listA.length === listB.length && listA.every((layer, i) => layer === listB[i]);
+}
+
+/**
+ * Add a move to the end of a list, folded into the list's own turns where it can be:
+ * turns about one axis don't affect each other, so it merges with the last turn of the
+ * same layers as long as only turns about its axis come after that one - and the two go
+ * altogether when they cancel. Keeps lists that get undone (solving by reversal) short.
+ * @param {Array} moves - Changed in place
+ * @param {Object} move - { axis, layer, dir, turnAmount }
+ */
+export function appendReduced(moves, move) {
+  for (let i = moves.length - 1; i >= 0 && moves[i].axis === move.axis; i--) {
+    const prev = moves[i];
+    if (!sameLayers(prev.layer, move.layer)) continue;
+
+    const quarterTurns = (((prev.dir * prev.turnAmount + move.dir * move.turnAmount) % 4) + 4) % 4;
+    if (quarterTurns === 0) {
+      moves.splice(i, 1);
+    } else {
+      moves[i] = {
+        axis: move.axis,
+        layer: move.layer,
+        dir: quarterTurns === 3 ? -1 : 1,
+        turnAmount: quarterTurns === 2 ? 2 : 1
+      };
+    }
+    return;
+  }
+  moves.push({ ...move });
+}
+
+// Rotate an integer vector by a number of quarter turns around an axis
+function rotateVector(v, axis, quarterTurns) {
+  let [x, y, z] = v;
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  for (let i = 0; i < turns; i++) {
+    if (axis === 'x') {
+      [y, z] = [-z, y];
+    } else if (axis === 'y') {
+      [x, z] = [z, -x];
+    } else {
+      [x, y] = [-y, x];
+    }
+  }
+  return [x, y, z];
+}
+
+export class CubeModel {
+  constructor(order = 3) {
+    this.order = order;
+    this.reset();
+  }
+
+  // Back to the solved state
+  reset() {
+    const n = this.order;
+    const last = n - 1;
+    this.cubies = [];
+
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        for (let z = 0; z < n; z++) {
+          const stickers = [];
+          if (x === last) stickers.push({ color: 'right', normal: FACE_NORMALS.right });
+          if (x === 0) stickers.push({ color: 'left', normal: FACE_NORMALS.left });
+          if (y === last) stickers.push({ color: 'top', normal: FACE_NORMALS.top });
+          if (y === 0) stickers.push({ color: 'bottom', normal: FACE_NORMALS.bottom });
+          if (z === last) stickers.push({ color: 'front', normal: FACE_NORMALS.front });
+          if (z === 0) stickers.push({ color: 'back', normal: FACE_NORMALS.back });
+
+          // Interior cubies can never be seen, so the model skips them
+          if (stickers.length === 0) continue;
+
+          this.cubies.push({
+            home: { x, y, z },
+            position: { x, y, z },
+            stickers
+          });
+        }
+      }
+    }
+  }
+
+  clone() {
+    const copy = new CubeModel(this.order);
+    copy.cubies = this.cubies.map(cubie => ({
+      home: { ...cubie.home },
+      position: { ...cubie.position },
+      stickers: cubie.stickers.map(s => ({ color: s.color, normal: s.normal.slice() }))
+    }));
+    return copy;
+  }
+
+  // Cubie that started at the given layer coordinates (null for interior positions)
+  getCubieByHome(x, y, z) {
+    return this.cubies.find(c => c.home.x === x && c.home.y === y && c.home.z === z) || null;
+  }
+
+  // Cubie currently sitting at the given layer coordinates
+  getCubieAt(x, y, z) {
+    return this.cubies.find(c => c.position.x === x && c.position.y === y && c.position.z === z) || null;
+  }
+
+  applyMove(move) {
+    const { axis, layer, dir, turnAmount = 1 } = move;
+    const quarterTurns = dir * turnAmount;
+    // Positions rotate around the cube centre, so work in doubled coordinates
+    // (2 * layer - (order - 1)) to keep everything integer for even orders too
+    const offset = this.order - 1;
+
+    this.cubies.forEach(cubie => {
+      if (!layerIncludes(layer, cubie.position[axis])) return;
+
+      const { x, y, z } = cubie.position;
+      const [rx, ry, rz] = rotateVector([2 * x - offset, 2 * y - offset, 2 * z - offset], axis, quarterTurns);
+      cubie.position = { x: (rx + offset) / 2, y: (ry + offset) / 2, z: (rz + offset) / 2 };
+
+      cubie.stickers.forEach(sticker => {
+        sticker.normal = rotateVector(sticker.normal, axis, quarterTurns);
+      });
+    });
+    return this;
+  }
+
+  applyMoves(moves) {
+    moves.forEach(move => this.applyMove(move));
+    return this;
+  }
+
+  /**
+   * Facelet representation: the colour (home face name) of every sticker, per face
+   * Each face is order * order stickers in reading order as seen from outside the cube,
+   * with the top face "up" for the four side faces, the back face up for top and
+   * the front face up for bottom (the usual URFDLB net orientation).
+   * @returns {Object} - { right: [...], left: [...], top, bottom, front, back }
+   */
+  getFacelets() {
+    const n = this.order;
+    const last = n - 1;
+    const facelets = {};
+    FACES.forEach(face => {
+      facelets[face] = new Array(n * n);
+    });
+
+    this.cubies.forEach(cubie => {
+      const { x, y, z } = cubie.position;
+      cubie.stickers.forEach(sticker => {
+        const face = faceFromNormal(sticker.normal);
+        let row, col;
+        switch (face) {
+          case 'front': row = last - y; col = x; break;
+          case 'back': row = last - y; col = last - x; break;
+          case 'right': row = last - y; col = last - z; break;
+          case 'left': row = last - y; col = z; break;
+          case 'top': row = z; col = x; break;
+          case 'bottom': row = last - z; col = x; break;
+        }
+        facelets[face][row * n + col] = sticker.color;
+      });
+    });
+
+    return facelets;
+  }
+
+  /**
+   * Cubie representation: where each cubie is and which colour faces which way
+   * @returns {Array} - [{ home: {x,y,z}, position: {x,y,z}, stickers: { faceName: colour } }]
+   */
+  getCubies() {
+    return this.cubies.map(cubie => {
+      const stickers = {};
+      cubie.stickers.forEach(sticker => {
+        stickers[faceFromNormal(sticker.normal)] = sticker.color;
+      });
+      return { home: { ...cubie.home }, position: { ...cubie.position }, stickers };
+    });
+  }
+
+  // Solved when every face shows a single colour
+  isSolved() {
+    const facelets = this.getFacelets();
+    return FACES.every(face => facelets[face].every(color => color === facelets[face][0]));
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Cubie render styles
+ *   flat     A box per cubie with a colour per face - the gaps between boxes make
+ *            the black border, so the background shows through them
+ *   sticker  A dark plastic body with bevelled edges and a rounded sticker inset on
+ *            each face, like a real cube
+ *
+ * Both geometries have a material group per face in BoxGeometry order (right, left,
+ * top, bottom, front, back), so a cubie's materials work the same either way. The
+ * sticker geometry has a seventh group, BODY_SLOT, for the plastic: a sticker cubie's
+ * materials are its six sticker materials (the body material on faces without a
+ * sticker) and then the body material.
+ *
+ * Materials are unlit (MeshBasicMaterial) by default. Lit ones (MeshStandardMaterial)
+ * need the lights from createLightRig() in the scene.
+ *
+ * Usage:
+ *   import { createCubieGeometry, createCubieMaterial, BODY_COLOR, createLightRig } from './cubie-style.js';
+ *   const geometry = createCubieGeometry('sticker', cubieSize, gap);
+ *   const body = createCubieMaterial(BODY_COLOR, lit);
+ *   const materials = [...stickerColors.map(c => createCubieMaterial(c, lit)), body];
+ *   scene.add(createLightRig());
+ */
+
+import * as THREE from 'three';
+import { RoundedBoxGeometry } from 'three/addons/geometries/RoundedBoxGeometry.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+export const CUBIE_STYLES = ['flat', 'sticker'];
+
+// Material slot of a sticker cubie's plastic body, and its colour (whatever the scheme)
+export const BODY_SLOT = 6;
+export const BODY_COLOR = 0x111111;
+
+const BODY_GAP = 0.02;        // Space between neighbouring bodies, as a fraction of a cubie
+const BEVEL_RADIUS = 0.08;    // Rounding of the body's edges, as a fraction of the body
+const STICKER_SIZE = 0.86;    // Sticker width as a fraction of the body
+const STICKER_RADIUS = 0.14;  // Rounding of the sticker's corners, as a fraction of the body
+const STICKER_LIFT = 0.004;   // How far a sticker stands off its face, as a fraction of the body
+
+// Outward direction of each face, in material slot order
+const FACE_NORMALS = [
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(-1, 0, 0),
+  new THREE.Vector3(0, 1, 0),
+  new THREE.Vector3(0, -1, 0),
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, 0, -1)
+];
+
+// Flat rounded square facing +z, centred on the origin
+function createRoundedSquare(size, radius) {
+  const h = size / 2;
+  const shape = new THREE.Shape();
+  shape.moveTo(-h + radius, -h);
+  shape.lineTo(h - radius, -h);
+  shape.quadraticCurveTo(h, -h, h, -h + radius);
+  shape.lineTo(h, h - radius);
+  shape.quadraticCurveTo(h, h, h - radius, h);
+  shape.lineTo(-h + radius, h);
+  shape.quadraticCurveTo(-h, h, -h, h - radius);
+  shape.lineTo(-h, -h + radius);
+  shape.quadraticCurveTo(-h, -h, -h + radius, -h);
+  return new THREE.ShapeGeometry(shape, 3);
+}
+
+/**
+ * Geometry shared by every cubie of a grid
+ * @param {string} style - One of CUBIE_STYLES
+ * @param {number} cubieSize - Distance between neighbouring cubie centres
+ * @param {number} gap - Flat style: space between boxes (the border)
+ * @returns {THREE.BufferGeometry} - With a material group per face (and the body, for stickers)
+ */
+export function createCubieGeometry(style, cubieSize, gap) {
+  if (style === 'flat') {
+    const size = cubieSize - gap;
+    return new THREE.BoxGeometry(size, size, size);
+  }
+  if (style !== 'sticker') {
+    throw new Error(`createCubieGeometry: unknown style "${style}" (use ${CUBIE_STYLES.join(' or ')})`);
+  }
+
+  // Bodies nearly touch - the border between stickers is the plastic itself
+  const size = cubieSize * (1 - BODY_GAP);
+  const body = new RoundedBoxGeometry(size, size, size, 2, size * BEVEL_RADIUS);
+
+  // RoundedBoxGeometry isn't indexed, and merging needs all or none to be
+  const square = createRoundedSquare(size * STICKER_SIZE, size * STICKER_RADIUS).toNonIndexed();
+  const forward = new THREE.Vector3(0, 0, 1);
+  const stickers = FACE_NORMALS.map(normal => {
+    const sticker = square.clone();
+    sticker.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(forward, normal));
+    const lift = size / 2 + size * STICKER_LIFT;
+    sticker.translate(normal.x * lift, normal.y * lift, normal.z * lift);
+    return sticker;
+  });
+
+  // One group per part, numbered in order: the six stickers, then the body
+  const geometry = mergeGeometries([...stickers, body], true);
+  [square, ...stickers, body].forEach(part => part.dispose());
+  return geometry;
+}
+
+/**
+ * Material for a sticker, a flat cubie's face or a body (BODY_COLOR) - all alike but
+ * for their colour, so an instanced batch can draw them with one material
+ * @param {number} color - 0xRRGGBB
+ * @param {boolean} lit - Shaded by the scene's lights
+ * @returns {THREE.Material}
+ */
+export function createCubieMaterial(color, lit) {
+  return lit
+    ? new THREE.MeshStandardMaterial({ color, roughness: 0.45, metalness: 0 })
+    : new THREE.MeshBasicMaterial({ color });
+}
+
+/**
+ * Lights for lit materials: soft all-round light plus a key light from the upper left,
+ * so the top faces of the isometric cubes are brightest and the two sides differ
+ * @returns {THREE.Group}
+ */
+export function createLightRig() {
+  const rig = new THREE.Group();
+  rig.add(new THREE.AmbientLight(0xffffff, 1.2));
+  const key = new THREE.DirectionalLight(0xffffff, 2.2);
+  key.position.set(-0.25, 0.6, 1);
+  rig.add(key);
+  return rig;
+}
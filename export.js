@@ -0,0 +1,183 @@
+/**
+ * Offline frame export
+ * Encoders for frames rendered one at a time on a virtual clock (see
+ * RubiksGrid.exportFrames in sketch.js), so nothing is dropped however slow
+ * each frame is to draw.
+ *
+ * Both take a renderFrame(frameIndex) callback that draws the next frame onto
+ * the canvas and returns false once there are no more frames.
+ *
+ * WebM is encoded with WebCodecs, each frame stamped with its place on the virtual
+ * clock, and wrapped up by webm.js. Browsers without WebCodecs fall back to
+ * MediaRecorder, which can only stamp frames in real time (see recordInRealTime).
+ */
+
+import { WebMWriter } from './webm.js';
+
+// WebM flavours to try, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// WebCodecs codecs to try, best first, with their WebM codec IDs. VP9 profile 0 at
+// level 5.1 covers up to 4K at 60fps
+const ENCODER_CODECS = [
+  { codec: 'vp09.00.51.08', webm: 'V_VP9', name: 'vp9' },
+  { codec: 'vp8', webm: 'V_VP8', name: 'vp8' }
+];
+
+// A keyframe this often (in seconds) - players can only start, or seek to, one
+const KEYFRAME_INTERVAL = 2;
+
+// Frames the encoder may have waiting before drawing stops to let it catch up
+const MAX_ENCODE_QUEUE = 8;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('exportFrames: canvas could not be encoded'))), type);
+  });
+}
+
+/**
+ * Capture every frame as a PNG
+ * @param {HTMLCanvasElement} canvas
+ * @param {Function} renderFrame - Draws frame n, returns false when done
+ * @returns {Promise<Blob[]>} - One PNG per frame
+ */
+export async function capturePngSequence(canvas, renderFrame) {
+  const frames = [];
+  for (let frame = 0; renderFrame(frame); frame++) {
+    // toBlob copies the canvas straight away, before the WebGL buffer is cleared
+    frames.push(await canvasToBlob(canvas, 'image/png'));
+  }
+  return frames;
+}
+
+/**
+ * Encode the frames into a WebM
+ * @param {HTMLCanvasElement} canvas
+ * @param {Function} renderFrame - Draws frame n, returns false when done
+ * @param {Object} options
+ * @param {number} options.fps - Frame rate
+ * @param {string} options.mimeType - Preferred type, e.g. 'video/webm;codecs=vp8' (default: VP9)
+ * @param {number} options.bitrate - Video bits per second (default: 12 Mbps)
+ * @returns {Promise<Blob>}
+ */
+export async function recordWebM(canvas, renderFrame, { fps, mimeType = null, bitrate = 12000000 }) {
+  const config = await findEncoderConfig(canvas, { fps, mimeType, bitrate });
+  if (!config) {
+    return recordInRealTime(canvas, renderFrame, { fps, mimeType, bitrate });
+  }
+  return encodeFrames(canvas, renderFrame, config, fps);
+}
+
+// The first WebCodecs setup this browser can encode (the preferred codec first), or
+// null without WebCodecs
+async function findEncoderConfig(canvas, { fps, mimeType, bitrate }) {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null;
+
+  const preferred = mimeType ? ENCODER_CODECS.find(({ name }) => mimeType.includes(name)) : null;
+  const candidates = preferred ? [preferred, ...ENCODER_CODECS.filter(c => c !== preferred)] : ENCODER_CODECS;
+  for (const candidate of candidates) {
+    const config = {
+      codec: candidate.codec,
+      width: canvas.width,
+      height: canvas.height,
+      bitrate,
+      framerate: fps,
+      latencyMode: 'quality'
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return { ...config, webm: candidate.webm };
+  }
+  return null;
+}
+
+// Encode every frame at its own timestamp (frame / fps), so the video plays at the
+// right speed however long each frame took to draw
+async function encodeFrames(canvas, renderFrame, { webm, ...config }, fps) {
+  const writer = new WebMWriter({ codec: webm, width: config.width, height: config.height, fps });
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: chunk => writer.addFrame(chunk),
+    error: err => {
+      failure = err;
+    }
+  });
+  encoder.configure(config);
+
+  const keyframeEvery = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL));
+  try {
+    for (let frame = 0; renderFrame(frame); frame++) {
+      if (failure) break;
+      // Taken straight after drawing, before the WebGL buffer is cleared
+      const videoFrame = new VideoFrame(canvas, {
+        timestamp: Math.round(frame * 1e6 / fps),
+        duration: Math.round(1e6 / fps)
+      });
+      encoder.encode(videoFrame, { keyFrame: frame % keyframeEvery === 0 });
+      videoFrame.close();
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !failure) {
+        await sleep(1);
+      }
+    }
+    if (!failure) await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (failure) {
+    throw new Error(`exportFrames: WebM encoding failed (${failure.message})`);
+  }
+  return writer.finish();
+}
+
+/**
+ * Fallback for browsers without WebCodecs: record the frames with MediaRecorder
+ * MediaRecorder stamps frames with wall-clock time, so frames are handed over at
+ * the real frame rate (if a frame takes longer than 1/fps to draw, the video
+ * runs slow rather than dropping it)
+ * @param {HTMLCanvasElement} canvas
+ * @param {Function} renderFrame - Draws frame n, returns false when done
+ * @param {Object} options
+ * @param {number} options.fps - Frame rate
+ * @param {string} options.mimeType - Preferred type (default: best supported WebM)
+ * @param {number} options.bitrate - Video bits per second
+ * @returns {Promise<Blob>}
+ */
+async function recordInRealTime(canvas, renderFrame, { fps, mimeType, bitrate }) {
+  if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+    throw new Error('exportFrames: WebM export needs WebCodecs, or MediaRecorder and canvas.captureStream');
+  }
+
+  const type = [mimeType, ...WEBM_TYPES].find(t => t && MediaRecorder.isTypeSupported(t));
+  if (!type) {
+    throw new Error('exportFrames: this browser cannot record WebM');
+  }
+
+  // A frame rate of 0 means frames are only captured when requested
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: bitrate });
+  const chunks = [];
+  recorder.ondataavailable = e => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  const frameMs = 1000 / fps;
+  const start = performance.now();
+  for (let frame = 0; renderFrame(frame); frame++) {
+    track.requestFrame();
+    await sleep(Math.max(0, start + (frame + 1) * frameMs - performance.now()));
+  }
+
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: recorder.mimeType || type });
+}
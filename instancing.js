@@ -0,0 +1,143 @@
+/**
+ * Instanced cubie rendering
+ * Draws every cubie in a grid with one InstancedMesh instead of one mesh (and six
+ * materials) per cubie, so a frame costs one draw call however many cubes there are.
+ *
+ * The per-cubie meshes still exist and still animate as before (pivot groups and
+ * all) - they just aren't in the scene. Each instance copies its cubie's world
+ * matrix, and has a colour per material slot of the geometry (six faces, plus the
+ * body for sticker cubies) taken from the cubie's materials, so the picture is the
+ * same as drawing the meshes.
+ *
+ * Instances are handed out a cube at a time, in blocks of one cube's cubies, so cubes
+ * can come and go as the view pans without rebuilding the batch. A released block is
+ * hidden (scaled to nothing) until another cube takes it.
+ *
+ * Usage:
+ *   import { InstancedCubies } from './instancing.js';
+ *   const batch = new InstancedCubies(cubieGeometry, cubiesPerCube, cubeCount);
+ *   scene.add(batch.mesh);
+ *   const block = batch.allocate(); // -1 once the batch is full
+ *   const i = block * cubiesPerCube + cubieIndex;
+ *   batch.setMatrix(i, cubie.mesh.matrixWorld);
+ *   batch.setFaceColors(i, cubie.mesh.material);
+ *   batch.release(block);
+ */
+
+import * as THREE from 'three';
+
+// Copy of a cubie geometry with every vertex tagged with its face (the material index
+// of its group), so the shader can pick that face's colour
+function createFaceTaggedGeometry(geometry) {
+  const tagged = geometry.clone();
+  const faceIndex = new Float32Array(tagged.attributes.position.count);
+  tagged.groups.forEach(group => {
+    for (let i = group.start; i < group.start + group.count; i++) {
+      faceIndex[tagged.index ? tagged.index.array[i] : i] = group.materialIndex;
+    }
+  });
+  tagged.setAttribute('faceIndex', new THREE.BufferAttribute(faceIndex, 1));
+  tagged.clearGroups();
+  return tagged;
+}
+
+// Tint a white material per face from the instance's colours - the same sum the
+// material does with its own colour
+function tintByFace(material, faceCount) {
+  const faces = [...Array(faceCount).keys()];
+  material.onBeforeCompile = shader => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', [
+        '#include <common>',
+        'attribute float faceIndex;',
+        ...faces.map(face => `attribute vec3 faceColor${face};`),
+        'varying vec3 vFaceColor;'
+      ].join('\n'))
+      .replace('#include <color_vertex>', [
+        '#include <color_vertex>',
+        `vFaceColor = ${faces.slice(0, -1).map(face => `faceIndex < ${face}.5 ? faceColor${face} : `).join('')}faceColor${faceCount - 1};`
+      ].join('\n'));
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying vec3 vFaceColor;')
+      .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.rgb *= vFaceColor;');
+  };
+}
+
+export class InstancedCubies {
+  /**
+   * @param {THREE.BufferGeometry} geometry - The cubies' geometry (a material group per face)
+   * @param {number} blockSize - Instances per block (one cube's cubies)
+   * @param {number} blockCount - Blocks the batch has room for
+   * @param {THREE.Material} material - What to draw with, in white - the cubies' own kind of
+   *   material, which the batch tints per face and disposes of (default: MeshBasicMaterial)
+   */
+  constructor(geometry, blockSize, blockCount, material = new THREE.MeshBasicMaterial({ color: 0xffffff })) {
+    const count = blockSize * blockCount;
+    this.blockSize = blockSize;
+    this.blockCount = blockCount;
+    this.usedBlocks = 0;    // Blocks handed out so far (only these are drawn)
+    this.freeBlocks = [];   // Released blocks below usedBlocks, to hand out again
+    this.faceCount = Math.max(...geometry.groups.map(group => group.materialIndex)) + 1;
+    this.geometry = createFaceTaggedGeometry(geometry);
+
+    // An RGB colour per face per instance, one interleaved attribute per face
+    const floatsPerInstance = this.faceCount * 3;
+    this.colors = new THREE.InstancedInterleavedBuffer(new Float32Array(count * floatsPerInstance), floatsPerInstance);
+    this.colors.setUsage(THREE.DynamicDrawUsage);
+    for (let face = 0; face < this.faceCount; face++) {
+      this.geometry.setAttribute(`faceColor${face}`, new THREE.InterleavedBufferAttribute(this.colors, 3, face * 3));
+    }
+
+    this.material = material;
+    tintByFace(material, this.faceCount);
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, count);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.count = 0;
+    // Instances move inside their cubes, and the grid always fills the view
+    this.mesh.frustumCulled = false;
+  }
+
+  /**
+   * Take a block of instances for a cube
+   * @returns {number} - Block index, or -1 if the batch is full
+   */
+  allocate() {
+    if (this.freeBlocks.length > 0) return this.freeBlocks.pop();
+    if (this.usedBlocks === this.blockCount) return -1;
+    this.mesh.count = ++this.usedBlocks * this.blockSize;
+    return this.usedBlocks - 1;
+  }
+
+  // Hand a block back, hiding its instances until it's taken again
+  release(block) {
+    const start = block * this.blockSize * 16;
+    this.mesh.instanceMatrix.array.fill(0, start, start + this.blockSize * 16);
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.freeBlocks.push(block);
+  }
+
+  // Place an instance (with its cubie's world matrix)
+  setMatrix(index, matrix) {
+    this.mesh.setMatrixAt(index, matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  // Colour an instance's faces from a cubie's materials
+  setFaceColors(index, materials) {
+    const array = this.colors.array;
+    let offset = index * this.faceCount * 3;
+    for (let face = 0; face < this.faceCount; face++) {
+      const color = materials[face].color;
+      array[offset++] = color.r;
+      array[offset++] = color.g;
+      array[offset++] = color.b;
+    }
+    this.colors.needsUpdate = true;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+    this.mesh.dispose();
+  }
+}
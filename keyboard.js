@@ -0,0 +1,108 @@
+/**
+ * Keyboard move input
+ * Turns key presses into move notation for the focused cube in keyboard mode
+ * (see RubiksGrid in sketch.js), using one of two layouts:
+ *
+ *   speedcubing  The usual virtual-cube layout (as in csTimer and cubing.js), by
+ *                physical key so it works on any keyboard language:
+ *                I/K = R/R', D/E = L/L', J/F = U/U', S/L = D/D', H/G = F/F', W/O = B/B',
+ *                U/M = r/r', V/R = l/l', , / C = u/u', Z / / = d/d',
+ *                5 6/X . = M/M', T Y/B N = x/x', ;/A = y/y', P/Q = z/z'
+ *   singmaster   Type the notation itself, e.g. R U R' U' or 3Rw2 - a move is played
+ *                once the next move starts, or on Space / Enter
+ *
+ * Usage:
+ *   import { bindingForKey, NotationTyper } from './keyboard.js';
+ *   bindingForKey('KeyI'); // "R"
+ *   const typer = new NotationTyper();
+ *   typer.type('R'); typer.type("'"); typer.type('U'); // ["R'"]
+ */
+
+// Layouts for the keyLayout setting
+export const KEY_LAYOUTS = ['speedcubing', 'singmaster'];
+
+// Speedcubing layout, by KeyboardEvent.code
+const SPEEDCUBING_BINDINGS = {
+  KeyI: 'R', KeyK: "R'",
+  KeyD: 'L', KeyE: "L'",
+  KeyJ: 'U', KeyF: "U'",
+  KeyS: 'D', KeyL: "D'",
+  KeyH: 'F', KeyG: "F'",
+  KeyW: 'B', KeyO: "B'",
+  KeyU: 'r', KeyM: "r'",
+  KeyV: 'l', KeyR: "l'",
+  Comma: 'u', KeyC: "u'",
+  KeyZ: 'd', Slash: "d'",
+  Digit5: 'M', Digit6: 'M', KeyX: "M'", Period: "M'",
+  KeyT: 'x', KeyY: 'x', KeyB: "x'", KeyN: "x'",
+  Semicolon: 'y', KeyA: "y'",
+  KeyP: 'z', KeyQ: "z'"
+};
+
+/**
+ * Move bound to a key in the speedcubing layout
+ * @param {string} code - KeyboardEvent.code, e.g. 'KeyI'
+ * @returns {string|null} - Notation, e.g. "R", or null if the key isn't bound
+ */
+export function bindingForKey(code) {
+  return SPEEDCUBING_BINDINGS[code] || null;
+}
+
+// Characters that start a move, and characters that can follow one
+const MOVE_LETTER = /^[RLUDFBMESxyzrludfb]$/;
+const MODIFIER = /^[w'0-9]$/;
+
+// Whether some typed text has a move letter yet (digits alone are only a prefix)
+function containsMove(text) {
+  return /[A-Za-z]/.test(text);
+}
+
+/**
+ * Collects typed characters into notation tokens for the singmaster layout
+ * A token is finished when the next move letter arrives (so "RU" is R then U), or by
+ * flush(). Digits typed before a letter are a layer prefix (3R), after it a turn
+ * amount (R2).
+ */
+export class NotationTyper {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Add one typed character
+   * @param {string} key - KeyboardEvent.key
+   * @returns {Array|null} - Tokens finished by this key ([] if none), or null if the
+   *   key isn't part of the notation
+   */
+  type(key) {
+    if (key === 'Backspace') {
+      this.buffer = this.buffer.slice(0, -1);
+      return [];
+    }
+    if (key === ' ' || key === 'Enter') {
+      return this.flush();
+    }
+
+    if (MOVE_LETTER.test(key)) {
+      // A new letter after a complete move starts the next one ("w" is a modifier,
+      // so it never gets here)
+      const finished = containsMove(this.buffer) ? this.flush() : [];
+      this.buffer += key;
+      return finished;
+    }
+    if (MODIFIER.test(key)) {
+      // Digits before a letter are a prefix, everything else needs a letter first
+      if (!containsMove(this.buffer) && !/[0-9]/.test(key)) return [];
+      this.buffer += key;
+      return [];
+    }
+    return null;
+  }
+
+  // Finish the token being typed
+  flush() {
+    const token = this.buffer;
+    this.buffer = '';
+    return containsMove(token) ? [token] : [];
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Image mosaics
+ * Loads a picture and samples it across the view, so RubiksGrid.showImage() in
+ * sketch.js can paint every visible sticker with its own piece of it.
+ *
+ * Usage:
+ *   import { loadImage, createImageSampler } from './mosaic.js';
+ *   const image = await loadImage('logo.png');
+ *   const sample = createImageSampler(image, 64, 36);
+ *   sample(0.5, 0.5); // 0xRRGGBB at the middle of the view
+ */
+
+/**
+ * Something drawImage() can draw
+ * @param {string|Blob|CanvasImageSource} source - URL, File/Blob, or an image, canvas or bitmap
+ * @returns {Promise<CanvasImageSource>}
+ */
+export async function loadImage(source) {
+  if (typeof source === 'string') {
+    const image = new Image();
+    // Pixels of cross-origin images can only be read if the server allows it
+    image.crossOrigin = 'anonymous';
+    image.src = source;
+    try {
+      await image.decode();
+    } catch (error) {
+      throw new Error(`showImage: could not load "${source}"`);
+    }
+    return image;
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    try {
+      return await createImageBitmap(source);
+    } catch (error) {
+      throw new Error('showImage: the file is not an image this browser can read');
+    }
+  }
+  if (!source) {
+    throw new Error('showImage: no image given');
+  }
+  return source;
+}
+
+/**
+ * Sampler for a picture stretched over the view at a given resolution
+ * Drawing it that small first averages each sample over its patch of the picture.
+ * @param {CanvasImageSource} image
+ * @param {number} width - Samples across (about one per sticker)
+ * @param {number} height - Samples down
+ * @param {Object} options
+ * @param {string} options.fit - 'cover' (default) fills the view and crops, 'contain' fits it all in
+ * @param {string} options.background - Colour behind transparent or uncovered areas (default: '#000000')
+ * @returns {Function} - (u, v) => 0xRRGGBB, with u and v from 0 to 1 (left to right, top to bottom)
+ */
+export function createImageSampler(image, width, height, { fit = 'cover', background = '#000000' } = {}) {
+  const imageWidth = image.naturalWidth || image.videoWidth || image.width;
+  const imageHeight = image.naturalHeight || image.videoHeight || image.height;
+  if (!imageWidth || !imageHeight) {
+    throw new Error('showImage: the image has no size');
+  }
+  if (fit !== 'cover' && fit !== 'contain') {
+    throw new Error(`showImage: unknown fit "${fit}" (use 'cover' or 'contain')`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  const scale = fit === 'cover'
+    ? Math.max(width / imageWidth, height / imageHeight)
+    : Math.min(width / imageWidth, height / imageHeight);
+  const drawWidth = imageWidth * scale;
+  const drawHeight = imageHeight * scale;
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+
+  let pixels;
+  try {
+    pixels = ctx.getImageData(0, 0, width, height).data;
+  } catch (error) {
+    throw new Error('showImage: the image is on another site that does not allow reading its pixels (CORS)');
+  }
+
+  return function sample(u, v) {
+    const x = Math.min(width - 1, Math.max(0, Math.floor(u * width)));
+    const y = Math.min(height - 1, Math.max(0, Math.floor(v * height)));
+    const i = (y * width + x) * 4;
+    return (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Singmaster notation for move sequences
+ * Converts between strings like "R U R' U'" and the { axis, layer, dir, turnAmount }
+ * moves that RubiksCube and CubeModel use.
+ *
+ * Supported:
+ *   Face turns      R L U D F B
+ *   Slice moves     M (follows L), E (follows D), S (follows F) - middle layer, odd orders only
+ *   Wide moves      Rw Lw Uw Dw Fw Bw, or lowercase r l u d f b (two layers)
+ *   Inner layers    3R (third layer from R on its own), 3Rw (three layers from R)
+ *   Rotations       x (follows R), y (follows U), z (follows F)
+ *   Modifiers       ' (prime), 2 (half turn), e.g. R' U2 Fw2'
+ *
+ * Every function takes the cube order (default 3), since R means layer 2 on a 3x3
+ * but layer 4 on a 5x5. Multi-layer moves (wide moves and rotations) use an array
+ * of layers, e.g. Rw = { axis: 'x', layer: [1, 2], dir: -1, turnAmount: 1 }.
+ *
+ * Usage:
+ *   import { parseNotation, formatMoves } from './notation.js';
+ *   const moves = parseNotation("R U R' U'");
+ *   formatMoves(moves); // "R U R' U'"
+ *   parseNotation("3Rw U", 5);
+ */
+
+import { toLayerList } from './cube-model.js';
+
+// Clockwise quarter turn of each face (as seen looking at that face), and which
+// end of the axis the face is on
+const FACE_MOVES = {
+  R: { axis: 'x', side: 'high', dir: -1 },
+  L: { axis: 'x', side: 'low', dir: 1 },
+  U: { axis: 'y', side: 'high', dir: -1 },
+  D: { axis: 'y', side: 'low', dir: 1 },
+  F: { axis: 'z', side: 'high', dir: -1 },
+  B: { axis: 'z', side: 'low', dir: 1 }
+};
+
+// Middle-slice moves
+const SLICE_MOVES = {
+  M: { axis: 'x', dir: 1 },
+  E: { axis: 'y', dir: 1 },
+  S: { axis: 'z', dir: -1 }
+};
+
+// Whole-cube rotations
+const ROTATIONS = {
+  x: { axis: 'x', dir: -1 },
+  y: { axis: 'y', dir: -1 },
+  z: { axis: 'z', dir: -1 }
+};
+
+// Lowercase wide-move shorthand
+const WIDE_ALIASES = { r: 'Rw', l: 'Lw', u: 'Uw', d: 'Dw', f: 'Fw', b: 'Bw' };
+
+const TOKEN_PATTERN = /^(\d*)([RLUDFB]w|[RLUDFBMESxyzrludfb])(\d*)('?)(\d*)$/;
+
+// Layer index of the layer `depth` layers in from a face (depth 1 is the face itself)
+function layerFromFace(side, depth, order) {
+  return side === 'high' ? order - depth : depth - 1;
+}
+
+// Layers a token turns, and the direction of its clockwise quarter turn
+function resolveMove(token, prefix, name, order) {
+  const all = Array.from({ length: order }, (_, i) => i);
+
+  if (ROTATIONS[name] || SLICE_MOVES[name]) {
+    if (prefix) {
+      throw new Error(`parseMove: "${token}" cannot take a layer prefix`);
+    }
+    if (ROTATIONS[name]) {
+      return { axis: ROTATIONS[name].axis, layers: all, dir: ROTATIONS[name].dir };
+    }
+    if (order % 2 === 0) {
+      throw new Error(`parseMove: "${token}" needs a middle layer, which a ${order}x${order} cube doesn't have`);
+    }
+    return { axis: SLICE_MOVES[name].axis, layers: [(order - 1) / 2], dir: SLICE_MOVES[name].dir };
+  }
+
+  const wide = name.endsWith('w');
+  const face = FACE_MOVES[name[0]];
+  // A prefix is the layer depth for face turns and the number of layers for wide moves
+  const depth = prefix ? parseInt(prefix, 10) : (wide ? 2 : 1);
+  if (depth < 1 || depth > order) {
+    throw new Error(`parseMove: "${token}" is out of range for a ${order}x${order} cube`);
+  }
+
+  const layers = wide
+    ? all.slice(0, depth).map(d => layerFromFace(face.side, d + 1, order))
+    : [layerFromFace(face.side, depth, order)];
+  return { axis: face.axis, layers, dir: face.dir };
+}
+
+/**
+ * Parse one token, e.g. "R'", "U2", "Rw", "x", "3Rw"
+ * @param {string} token
+ * @param {number} order - Cube order (default 3)
+ * @returns {Object} - { axis, layer, dir, turnAmount }
+ */
+export function parseMove(token, order = 3) {
+  const match = TOKEN_PATTERN.exec(token);
+  if (!match) {
+    throw new Error(`parseMove: unrecognised move "${token}"`);
+  }
+
+  const name = WIDE_ALIASES[match[2]] || match[2];
+  const amount = parseInt(match[3] || match[5] || '1', 10);
+  const { axis, layers, dir } = resolveMove(token, match[1], name, order);
+
+  // R3 is the same as R', R4 does nothing, and so on
+  let quarterTurns = (amount % 4) * (match[4] ? -1 : 1);
+  quarterTurns = ((quarterTurns % 4) + 4) % 4;
+  if (quarterTurns === 0) {
+    throw new Error(`parseMove: "${token}" does not turn anything`);
+  }
+
+  return {
+    axis,
+    layer: layers.length === 1 ? layers[0] : layers.sort((a, b) => a - b),
+    dir: quarterTurns === 3 ? -dir : dir,
+    turnAmount: quarterTurns === 2 ? 2 : 1
+  };
+}
+
+/**
+ * Parse a whitespace-separated move sequence
+ * @param {string} notation - e.g. "R U R' U'"
+ * @param {number} order - Cube order (default 3)
+ * @returns {Array} - Moves as { axis, layer, dir, turnAmount }
+ */
+export function parseNotation(notation, order = 3) {
+  return notation
+    .trim()
+    .split(/\s+/)
+    .filter(token => token.length > 0)
+    .map(token => parseMove(token, order));
+}
+
+// Face on the given end of an axis
+function faceOn(axis, side) {
+  return Object.keys(FACE_MOVES).find(key => FACE_MOVES[key].axis === axis && FACE_MOVES[key].side === side);
+}
+
+// Notation name (without modifiers) for a set of layers, and its clockwise direction
+function nameForLayers(axis, layers, order) {
+  const last = order - 1;
+  const contiguous = layers.every((layer, i) => i === 0 || layer === layers[i - 1] + 1);
+
+  if (layers.length === order) {
+    return { name: axis, dir: ROTATIONS[axis].dir };
+  }
+
+  if (layers.length === 1) {
+    const layer = layers[0];
+    if (order % 2 === 1 && layer === last / 2) {
+      const slice = Object.keys(SLICE_MOVES).find(key => SLICE_MOVES[key].axis === axis);
+      return { name: slice, dir: SLICE_MOVES[slice].dir };
+    }
+    // Count in from the nearer face (ties go to R / U / F)
+    const side = last - layer <= layer ? 'high' : 'low';
+    const face = faceOn(axis, side);
+    const depth = side === 'high' ? last - layer + 1 : layer + 1;
+    return { name: depth === 1 ? face : `${depth}${face}`, dir: FACE_MOVES[face].dir };
+  }
+
+  // Wide moves have to start at a face
+  if (contiguous && (layers[0] === 0 || layers[layers.length - 1] === last)) {
+    const face = faceOn(axis, layers[layers.length - 1] === last ? 'high' : 'low');
+    const width = layers.length;
+    return { name: width === 2 ? `${face}w` : `${width}${face}w`, dir: FACE_MOVES[face].dir };
+  }
+
+  return null;
+}
+
+/**
+ * Turn one internal move into notation
+ * @param {Object} move - { axis, layer, dir, turnAmount }
+ * @param {number} order - Cube order (default 3)
+ * @returns {string} - e.g. "R'"
+ */
+export function formatMove(move, order = 3) {
+  const layers = toLayerList(move.layer).slice().sort((a, b) => a - b);
+  const named = nameForLayers(move.axis, layers, order);
+  if (!named) {
+    throw new Error(`formatMove: no notation for layers ${layers.join(',')} on ${move.axis}`);
+  }
+
+  if (move.turnAmount === 2) return `${named.name}2`;
+  return move.dir === named.dir ? named.name : `${named.name}'`;
+}
+
+/**
+ * Turn a list of internal moves into a notation string
+ * @param {Array} moves
+ * @param {number} order - Cube order (default 3)
+ * @returns {string} - e.g. "R U R' U'"
+ */
+export function formatMoves(moves, order = 3) {
+  return moves.map(move => formatMove(move, order)).join(' ');
+}
+
+/**
+ * Accept either notation or a move list
+ * @param {string|Array} sequence
+ * @param {number} order - Cube order (default 3)
+ * @returns {Array} - Moves as { axis, layer, dir, turnAmount }
+ */
+export function toMoves(sequence, order = 3) {
+  return typeof sequence === 'string' ? parseNotation(sequence, order) : sequence.slice();
+}
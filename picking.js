@@ -0,0 +1,91 @@
+/**
+ * Analytic cube picking
+ * The grid lays its cubes out on a staircase lattice (see latticeFor in projections.js):
+ *
+ *   x = col * spacingX + row * shiftX
+ *   y = col * riseY - row * spacingY
+ *
+ * so the cube under a point can be found by inverting that, instead of raycasting
+ * every cubie in the grid. The lattice only gives the nearest cell; neighbouring cubes
+ * overlap it on screen, so the few cells around it are tested exactly by casting the
+ * ray against each cube's bounding box, and the nearest hit wins.
+ *
+ * Usage:
+ *   import { cellsNear, latticeCoords, latticePosition, rayBoxDistance } from './picking.js';
+ *   const cells = cellsNear(x, y, { spacingX, shiftX, spacingY, riseY }); // [{ row, col }, ...]
+ *   latticeCoords(x, y, layout); // { row, col } - fractional, the point itself
+ *   latticePosition(row, col, layout); // { x, y } - back again
+ *   rayBoxDistance(ray, cube.group.position, cube.group.quaternion, cubeSize / 2);
+ */
+
+import * as THREE from 'three';
+
+/**
+ * World position of a lattice cell
+ * @param {number} row
+ * @param {number} col
+ * @param {Object} layout - { spacingX, shiftX, spacingY, riseY }
+ * @returns {Object} - { x, y }
+ */
+export function latticePosition(row, col, { spacingX, shiftX, spacingY, riseY }) {
+  return { x: col * spacingX + row * shiftX, y: col * riseY - row * spacingY };
+}
+
+/**
+ * Where a point is on the lattice, in rows and columns (not rounded to a cell)
+ * @param {number} x - World x of the point
+ * @param {number} y - World y of the point
+ * @param {Object} layout - { spacingX, shiftX, spacingY, riseY } as used to place the cubes
+ * @returns {Object} - { row, col }
+ */
+export function latticeCoords(x, y, { spacingX, shiftX, spacingY, riseY }) {
+  const row = (riseY * x - spacingX * y) / (spacingX * spacingY + shiftX * riseY);
+  return { row, col: (x - row * shiftX) / spacingX };
+}
+
+/**
+ * Lattice cells whose cubes could cover a point
+ * @param {number} x - World x of the point
+ * @param {number} y - World y of the point
+ * @param {Object} layout - { spacingX, shiftX, spacingY, riseY } as used to place the cubes
+ * @param {number} reach - Rows and columns to look either side of the nearest cell (default: 1)
+ * @returns {Array} - [{ row, col }]
+ */
+export function cellsNear(x, y, layout, reach = 1) {
+  const { spacingX, shiftX } = layout;
+  const cells = [];
+  const nearestRow = Math.round(latticeCoords(x, y, layout).row);
+  for (let row = nearestRow - reach; row <= nearestRow + reach; row++) {
+    // Each row is shifted along by shiftX, so its nearest column depends on the row
+    const nearestCol = Math.round((x - row * shiftX) / spacingX);
+    for (let col = nearestCol - reach; col <= nearestCol + reach; col++) {
+      cells.push({ row, col });
+    }
+  }
+  return cells;
+}
+
+const localRay = new THREE.Ray();
+const inverseRotation = new THREE.Quaternion();
+const box = new THREE.Box3();
+const hit = new THREE.Vector3();
+
+/**
+ * Distance along a ray to where it enters a cube's bounding box
+ * @param {THREE.Ray} ray - In world space
+ * @param {THREE.Vector3} position - Cube centre
+ * @param {THREE.Quaternion} quaternion - Cube rotation
+ * @param {number} halfSize - Half the cube's edge length
+ * @returns {number|null} - Distance, or null if the ray misses
+ */
+export function rayBoxDistance(ray, position, quaternion, halfSize) {
+  // Into the cube's own space, where its box is axis-aligned
+  inverseRotation.copy(quaternion).invert();
+  localRay.origin.copy(ray.origin).sub(position).applyQuaternion(inverseRotation);
+  localRay.direction.copy(ray.direction).applyQuaternion(inverseRotation);
+  box.min.setScalar(-halfSize);
+  box.max.setScalar(halfSize);
+
+  if (!localRay.intersectBox(box, hit)) return null;
+  return hit.distanceTo(localRay.origin);
+}
@@ -0,0 +1,54 @@
+/**
+ * View projections
+ * Every cube in a grid is turned the same way in front of a camera looking straight
+ * down -z. A projection is that turn (a tilt about x, then a turn about y) and the
+ * camera's field of view, 0 for an orthographic camera:
+ *   isometric    All three axes equally foreshortened (35.26° tilt, 45° turn)
+ *   dimetric     The classic look (30° tilt, 45° turn): the sides alike, the top less squashed
+ *   trimetric    Every axis foreshortened differently (20° tilt, 30° turn)
+ *   top-down     Straight down on the top faces (turned 45°, so they're diamonds)
+ *   perspective  The dimetric turn through a perspective camera
+ *
+ * The cubes sit on a lattice worked out from the turn. Stacked edge to edge in 3D - one
+ * column across is +x -z in a cube's own axes, one row down is +x -y - their outlines
+ * tile the view exactly, with the same gap between neighbouring cubes as between cubies.
+ * Seen straight on, that stacking is the same picture as cubes laid out flat at z = 0:
+ *
+ *   x = col * spacingX + row * shiftX
+ *   y = col * riseY - row * spacingY
+ *
+ * riseY is 0 (rows run straight across) for every projection with a 45° turn.
+ *
+ * Usage:
+ *   import { PROJECTIONS, latticeFor } from './projections.js';
+ *   const angles = PROJECTIONS.isometric;       // { x, y, fov }
+ *   const layout = latticeFor(angles, cubeSize); // { spacingX, shiftX, spacingY, riseY }
+ */
+
+import * as THREE from 'three';
+
+const DEGREES = Math.PI / 180;
+
+export const PROJECTIONS = {
+  isometric: { x: Math.atan(Math.SQRT1_2), y: -45 * DEGREES, fov: 0 },
+  dimetric: { x: 30 * DEGREES, y: -45 * DEGREES, fov: 0 },
+  trimetric: { x: 20 * DEGREES, y: -30 * DEGREES, fov: 0 },
+  'top-down': { x: 90 * DEGREES, y: -45 * DEGREES, fov: 0 },
+  perspective: { x: 30 * DEGREES, y: -45 * DEGREES, fov: 35 }
+};
+
+const euler = new THREE.Euler();
+const quaternion = new THREE.Quaternion();
+
+/**
+ * Lattice for cubes turned to some angles
+ * @param {Object} angles - { x, y } tilt and turn in radians, as a cube group's rotation
+ * @param {number} size - Cube edge length
+ * @returns {Object} - { spacingX, shiftX, spacingY, riseY } in world units
+ */
+export function latticeFor(angles, size) {
+  quaternion.setFromEuler(euler.set(angles.x, angles.y, 0));
+  const col = new THREE.Vector3(size, 0, -size).applyQuaternion(quaternion);
+  const row = new THREE.Vector3(size, -size, 0).applyQuaternion(quaternion);
+  return { spacingX: col.x, shiftX: row.x, spacingY: -row.y, riseY: col.y };
+}
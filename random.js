@@ -0,0 +1,50 @@
+/**
+ * Seeded random numbers
+ * Every random decision in the animation goes through one of these generators, so
+ * the same seed (and settings) always plays the same moves.
+ *
+ * Usage:
+ *   import { createRandom, hashSeed } from './random.js';
+ *   const random = createRandom(hashSeed(42, row, col));
+ *   random(); // 0 <= n < 1, like Math.random()
+ */
+
+/**
+ * Mix a seed and any number of extra values (numbers or strings) into one 32-bit seed
+ * Used to give each cube its own stream, e.g. hashSeed(seed, row, col)
+ * @param {...(number|string)} parts
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function hashSeed(...parts) {
+  // FNV-1a over the string form of each part
+  let hash = 0x811c9dc5;
+  parts.forEach(part => {
+    const text = `${part};`;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+  });
+  return hash >>> 0;
+}
+
+/**
+ * Random generator (mulberry32) that returns floats in [0, 1), like Math.random
+ * @param {number|string} seed
+ * @returns {Function}
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A fresh seed for when none is given (shown by getSettings() so a run can be replayed)
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
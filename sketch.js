@@ -7,44 +7,31 @@
  *
  * Usage:
  *   import { initRubiks } from './sketch.js';
- *   initRubiks(containerElement); // optional container, defaults to document.body
+ *   const rubiks = initRubiks(containerElement, { colorScheme: 'neon' });
+ *   rubiks.pause();
+ *   rubiks.destroy();
  */
 
 import * as THREE from 'three';
-
-// Module state - will be initialized when initRubiks is called
-let scene, camera, renderer;
-let container = null;
-let isInitialized = false;
-
-// Reverse a single move (flip the direction)
-function reverseMove(move) {
-  return {
-    axis: move.axis,
-    layer: move.layer,
-    dir: -move.dir, // Reverse direction
-    turnAmount: move.turnAmount
-  };
-}
-
-// Solve a cube by reversing all moves in reverse order
-// This is mathematically equivalent to the "inverse scramble" technique
-function solveCube(moveHistory) {
-  if (!moveHistory || moveHistory.length === 0) {
-    return []; // Already solved
-  }
-
-  // Reverse all moves and reverse the order
-  return moveHistory
-    .slice() // Copy array
-    .reverse() // Reverse order
-    .map(reverseMove); // Reverse each move direction
-}
+import { CubeModel, FACES, appendReduced, layerIncludes, sameLayers } from './cube-model.js';
+import { solveCube, prepareSolver } from './solver.js';
+import { toMoves, formatMoves } from './notation.js';
+import { createRandom, hashSeed, randomSeed } from './random.js';
+import { capturePngSequence, recordWebM } from './export.js';
+import { readUrlSettings, readUrlPalette, writeUrlSettings } from './url-state.js';
+import { KEY_LAYOUTS, bindingForKey, NotationTyper } from './keyboard.js';
+import { loadImage, createImageSampler } from './mosaic.js';
+import { WAVE_MODES, waveDelays } from './waves.js';
+import { parseChoreography, selectCubes, buildTimeline, solveSpeedMultiplier } from './choreography.js';
+import { InstancedCubies } from './instancing.js';
+import { CUBIE_STYLES, BODY_COLOR, createCubieGeometry, createCubieMaterial, createLightRig } from './cubie-style.js';
+import { cellsNear, latticeCoords, latticePosition, rayBoxDistance } from './picking.js';
+import { PROJECTIONS, latticeFor } from './projections.js';
+import { Backdrop } from './background.js';
+import { CubeAudio } from './audio.js';
 
 // Camera constants
 const baseFrustumSize = 10;
-let currentFrustumSize = baseFrustumSize;
-let aspect = 1;
 
 // Color schemes for Rubik's cube faces
 const COLOR_SCHEMES = {
@@ -113,51 +100,148 @@ const COLOR_SCHEMES = {
   }
 };
 
-// Current color scheme
-let currentColors = COLOR_SCHEMES.classic;
-let targetColors = COLOR_SCHEMES.classic;
-let colorTransitionProgress = 1; // 0 to 1, 1 = complete
-let colorTransitionStartTime = null;
-const COLOR_TRANSITION_DURATION = 600; // milliseconds
+// Scheme slots - the six faces plus the colour inside the cube (the borders)
+const PALETTE_SLOTS = ['right', 'left', 'top', 'bottom', 'front', 'back', 'internal'];
 
-// Shared geometry and materials cache for performance
-// Each cubie position (x,y,z) has a unique material combination
-let sharedGeometry = null;
-let sharedMaterials = {}; // Key: "x,y,z" -> materials array
+// Background for schemes that don't name one (see the background setting)
+const DEFAULT_BACKGROUND = 0x000000;
 
-function getSharedGeometry(actualSize) {
-  if (!sharedGeometry) {
-    sharedGeometry = new THREE.BoxGeometry(actualSize, actualSize, actualSize);
-  }
-  return sharedGeometry;
+// The schemes above can't be replaced, registered ones can (e.g. while editing)
+const BUILT_IN_SCHEMES = Object.keys(COLOR_SCHEMES);
+
+// Scheme the settings panel's palette editor ('palette' setting events) writes to
+const CUSTOM_SCHEME = 'custom';
+
+// A colour as 0xRRGGBB, from a number or a "#rrggbb" / "#rgb" string (null if invalid)
+function parseColor(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF) return value;
+  if (typeof value !== 'string') return null;
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return parseInt(hex, 16);
 }
 
-function getSharedMaterials(x, y, z) {
-  const key = `${x},${y},${z}`;
-  if (!sharedMaterials[key]) {
-    sharedMaterials[key] = [
-      new THREE.MeshBasicMaterial({ color: x === 2 ? currentColors.right : currentColors.internal }),
-      new THREE.MeshBasicMaterial({ color: x === 0 ? currentColors.left : currentColors.internal }),
-      new THREE.MeshBasicMaterial({ color: y === 2 ? currentColors.top : currentColors.internal }),
-      new THREE.MeshBasicMaterial({ color: y === 0 ? currentColors.bottom : currentColors.internal }),
-      new THREE.MeshBasicMaterial({ color: z === 2 ? currentColors.front : currentColors.internal }),
-      new THREE.MeshBasicMaterial({ color: z === 0 ? currentColors.back : currentColors.internal }),
-    ];
+function toHexString(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+// A background as { top, bottom, alpha } from a colour, "linear-gradient(top, bottom)"
+// or "transparent" (null if invalid) - see background.js
+function parseBackground(value) {
+  if (value === 'transparent') {
+    return { top: DEFAULT_BACKGROUND, bottom: DEFAULT_BACKGROUND, alpha: 0 };
   }
-  return sharedMaterials[key];
+  const gradient = typeof value === 'string' && /^\s*linear-gradient\(([^,]+),([^,]+)\)\s*$/i.exec(value);
+  if (gradient) {
+    const top = parseColor(gradient[1]);
+    const bottom = parseColor(gradient[2]);
+    return top === null || bottom === null ? null : { top, bottom, alpha: 1 };
+  }
+  const color = parseColor(value);
+  return color === null ? null : { top: color, bottom: color, alpha: 1 };
 }
 
-function clearSharedCache() {
-  if (sharedGeometry) {
-    sharedGeometry.dispose();
-    sharedGeometry = null;
+/**
+ * Add a colour scheme (or replace one added earlier)
+ * Grids pick it up through setSettings({ colorScheme: name }), with the usual transition
+ * @param {string} name - Scheme name (the seven built-in names are taken)
+ * @param {Object} colors - { right, left, top, bottom, front, back, internal }, each 0xRRGGBB or "#rrggbb",
+ *   and optionally the background the scheme looks best on: a colour, "linear-gradient(top, bottom)"
+ *   or "transparent" (the background setting overrides it)
+ * @returns {Object} - The scheme as stored (numbers, and the background as given)
+ */
+export function registerColorScheme(name, colors) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('registerColorScheme: name must be a non-empty string');
+  }
+  if (BUILT_IN_SCHEMES.includes(name)) {
+    throw new Error(`registerColorScheme: "${name}" is a built-in scheme and can't be replaced`);
+  }
+  if (!colors || typeof colors !== 'object') {
+    throw new Error('registerColorScheme: colors must be an object');
+  }
+
+  const unknown = Object.keys(colors).filter(slot => !PALETTE_SLOTS.includes(slot) && slot !== 'background');
+  if (unknown.length > 0) {
+    throw new Error(`registerColorScheme: unknown slot "${unknown[0]}" (expected ${PALETTE_SLOTS.join(', ')} and optionally background)`);
+  }
+
+  const scheme = {};
+  PALETTE_SLOTS.forEach(slot => {
+    if (!(slot in colors)) {
+      throw new Error(`registerColorScheme: missing "${slot}"`);
+    }
+    const color = parseColor(colors[slot]);
+    if (color === null) {
+      throw new Error(`registerColorScheme: "${slot}" must be a colour like 0xff0000 or "#ff0000" (got ${JSON.stringify(colors[slot])})`);
+    }
+    scheme[slot] = color;
+  });
+
+  if (colors.background !== undefined) {
+    if (!parseBackground(colors.background)) {
+      throw new Error(`registerColorScheme: "background" must be a colour, "linear-gradient(top, bottom)" or "transparent" (got ${JSON.stringify(colors.background)})`);
+    }
+    scheme.background = parseColor(colors.background) ?? colors.background;
   }
-  Object.values(sharedMaterials).forEach(mats => {
-    mats.forEach(m => m.dispose());
+
+  COLOR_SCHEMES[name] = scheme;
+  return { ...scheme };
+}
+
+/**
+ * A scheme's colours as "#rrggbb" strings (and its background, if it has one), or null
+ * if there's no such scheme
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getColorScheme(name) {
+  const scheme = COLOR_SCHEMES[name];
+  if (!scheme) return null;
+  const colors = {};
+  PALETTE_SLOTS.forEach(slot => {
+    colors[slot] = toHexString(scheme[slot]);
   });
-  sharedMaterials = {};
+  if (scheme.background !== undefined) {
+    colors.background = typeof scheme.background === 'number' ? toHexString(scheme.background) : scheme.background;
+  }
+  return colors;
+}
+
+/**
+ * A scheme as JSON, for saving or sharing: { "name": ..., "colors": { "right": "#c41e3a", ... } }
+ * @param {string} name
+ * @returns {string}
+ */
+export function exportColorScheme(name) {
+  const colors = getColorScheme(name);
+  if (!colors) {
+    throw new Error(`exportColorScheme: unknown scheme "${name}"`);
+  }
+  return JSON.stringify({ name, colors }, null, 2);
+}
+
+/**
+ * Register a scheme from exportColorScheme() JSON
+ * @param {string} json
+ * @param {string} name - Register under this name instead of the one in the JSON
+ * @returns {string} - The name it was registered as
+ */
+export function importColorScheme(json, name = null) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`importColorScheme: not valid JSON (${err.message})`);
+  }
+  const schemeName = name || (data && data.name);
+  registerColorScheme(schemeName, data && data.colors);
+  return schemeName;
 }
 
+const COLOR_TRANSITION_DURATION = 600; // milliseconds
+
 // Interpolate between two hex colors
 function lerpColor(color1, color2, t) {
   const r1 = (color1 >> 16) & 0xff;
@@ -175,66 +259,162 @@ function lerpColor(color1, color2, t) {
   return (r << 16) | (g << 8) | b;
 }
 
+function lerpBackground(background1, background2, t) {
+  return {
+    top: lerpColor(background1.top, background2.top, t),
+    bottom: lerpColor(background1.bottom, background2.bottom, t),
+    alpha: background1.alpha + (background2.alpha - background1.alpha) * t
+  };
+}
+
 // Ease function for smooth color transition
 function easeInOutQuad(t) {
   return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
 }
 
-// Update all materials with interpolated colors
-function updateMaterialColors(t) {
-  const eased = easeInOutQuad(t);
-
-  // Calculate interpolated colors
-  const interpolatedColors = {
-    right: lerpColor(currentColors.right, targetColors.right, eased),
-    left: lerpColor(currentColors.left, targetColors.left, eased),
-    top: lerpColor(currentColors.top, targetColors.top, eased),
-    bottom: lerpColor(currentColors.bottom, targetColors.bottom, eased),
-    front: lerpColor(currentColors.front, targetColors.front, eased),
-    back: lerpColor(currentColors.back, targetColors.back, eased),
-    internal: lerpColor(currentColors.internal, targetColors.internal, eased)
-  };
+// Every grid created by initRubiks() that hasn't been destroyed yet
+const activeGrids = new Set();
 
-  // Update all shared materials
-  Object.entries(sharedMaterials).forEach(([key, materials]) => {
-    const [x, y, z] = key.split(',').map(Number);
-    materials[0].color.setHex(x === 2 ? interpolatedColors.right : interpolatedColors.internal);
-    materials[1].color.setHex(x === 0 ? interpolatedColors.left : interpolatedColors.internal);
-    materials[2].color.setHex(y === 2 ? interpolatedColors.top : interpolatedColors.internal);
-    materials[3].color.setHex(y === 0 ? interpolatedColors.bottom : interpolatedColors.internal);
-    materials[4].color.setHex(z === 2 ? interpolatedColors.front : interpolatedColors.internal);
-    materials[5].color.setHex(z === 0 ? interpolatedColors.back : interpolatedColors.internal);
-  });
+/**
+ * Start a color transition on every active grid
+ * Kept for pages that predate the instance API - prefer controller.setSettings({ colorScheme })
+ * @param {string} newScheme - Color scheme name
+ */
+export function startColorTransition(newScheme) {
+  activeGrids.forEach(grid => grid.applySetting('colorScheme', newScheme));
 }
 
-// Start a color transition to a new scheme
-export function startColorTransition(newScheme) {
-  // Store current colors as starting point (use actual material colors if mid-transition)
-  if (colorTransitionProgress < 1) {
-    // We're mid-transition, so capture current interpolated state
-    const eased = easeInOutQuad(colorTransitionProgress);
-    currentColors = {
-      right: lerpColor(currentColors.right, targetColors.right, eased),
-      left: lerpColor(currentColors.left, targetColors.left, eased),
-      top: lerpColor(currentColors.top, targetColors.top, eased),
-      bottom: lerpColor(currentColors.bottom, targetColors.bottom, eased),
-      front: lerpColor(currentColors.front, targetColors.front, eased),
-      back: lerpColor(currentColors.back, targetColors.back, eased),
-      internal: lerpColor(currentColors.internal, targetColors.internal, eased)
-    };
-  }
+// --- Cube geometry (shared by the grid cubes and the mini cube) ---
+
+// Supported puzzle sizes (2x2x2 up to 7x7x7)
+const MIN_ORDER = 2;
+const MAX_ORDER = 7;
+
+function clampOrder(order) {
+  return Math.min(MAX_ORDER, Math.max(MIN_ORDER, Math.round(order) || 3));
+}
+
+// Turns a solve shows at most - sizes other than 3x3 solve by undoing their moves, and
+// a longer list than this plays several moves a turn (see RubiksCube.startNextSolveMove)
+const MAX_SOLVE_TURNS = 200;
+
+// Gap between cubies as a fraction of a 3x3 cube's size - creates the black border effect
+const CUBIE_GAP_FRACTION = 0.04;
+
+// Gap between cubies, scaled with the cubie size so every order keeps the 3x3 proportions
+function getCubieGap(size, order) {
+  return CUBIE_GAP_FRACTION * size * 3 / order;
+}
+
+// Layer index (0..order-1) of a cubie centred at coord along one axis
+function layerAt(coord, cubieSize, order) {
+  return Math.round(coord / cubieSize + (order - 1) / 2);
+}
+
+// Snap a coordinate to the nearest cubie centre (half-way between layers for even orders)
+function snapToCubie(coord, cubieSize, order) {
+  return (layerAt(coord, cubieSize, order) - (order - 1) / 2) * cubieSize;
+}
+
+// Whether a cubie is on the surface (interior cubies are never seen, so they're skipped)
+function isSurfaceCubie(x, y, z, order) {
+  const last = order - 1;
+  return x === 0 || x === last || y === 0 || y === last || z === 0 || z === last;
+}
 
-  targetColors = COLOR_SCHEMES[newScheme];
-  colorTransitionProgress = 0;
-  colorTransitionStartTime = null;
+// Outward normal of each BoxGeometry material slot (right, left, top, bottom, front, back)
+const FACE_DIRECTIONS = [
+  new THREE.Vector3(1, 0, 0),
+  new THREE.Vector3(-1, 0, 0),
+  new THREE.Vector3(0, 1, 0),
+  new THREE.Vector3(0, -1, 0),
+  new THREE.Vector3(0, 0, 1),
+  new THREE.Vector3(0, 0, -1)
+];
+
+// Whether a cubie at layer coordinates (x, y, z) has a sticker in a material slot
+function hasSticker(slot, x, y, z, order) {
+  const last = order - 1;
+  const layer = [x, x, y, y, z, z][slot];
+  return layer === (slot % 2 === 0 ? last : 0);
+}
+
+// --- Random moves (shared by the grid cubes and the mini cube) ---
+
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Pick a random move, re-rolling ones that would look redundant after the previous move
+ * @param {Object|null} prev - Previous move, if any
+ * @param {Object} options
+ * @param {number} options.sliceMoveChance - Probability of an inner-layer move (the middle slice on a 3x3)
+ * @param {number} options.wideMoveChance - Probability of a wide two-layer move
+ * @param {number} options.order - Cube order (default 3)
+ * @param {Function} random - Random number source, e.g. from createRandom() (default: Math.random)
+ * @returns {Object} - { axis, layer, dir, turnAmount }
+ */
+function generateRandomMove(prev, { sliceMoveChance = 0, wideMoveChance = 0, order = 3 } = {}, random = Math.random) {
+  const last = order - 1;
+  let move;
+  let attempts = 0;
+
+  do {
+    const axis = AXES[Math.floor(random() * 3)];
+
+    // Outer layers unless a slice or wide move is rolled (a 2x2 has neither)
+    const kind = random();
+    let layer;
+    if (order > 2 && kind < sliceMoveChance) {
+      layer = 1 + Math.floor(random() * (order - 2));
+    } else if (order > 2 && kind < sliceMoveChance + wideMoveChance) {
+      layer = random() < 0.5 ? [0, 1] : [last - 1, last];
+    } else {
+      layer = random() < 0.5 ? 0 : last;
+    }
+
+    const dir = random() < 0.5 ? 1 : -1;
+
+    // 25% chance of double turn (180°), 75% chance of single turn (90°)
+    const turnAmount = random() < 0.25 ? 2 : 1;
+
+    move = { axis, layer, dir, turnAmount };
+    attempts++;
+  } while (prev && isRedundantPair(prev, move) && attempts < 10);
+
+  return move;
+}
+
+// Check if two consecutive moves would look redundant
+function isRedundantPair(a, b) {
+  // Same axis and the same layers (a wide move and a single layer never match)
+  if (a.axis === b.axis && sameLayers(a.layer, b.layer)) {
+    // Exact same move repeated (e.g., R then R again)
+    if (a.dir === b.dir) return true;
+
+    // Opposite direction cancels out (e.g., R then R')
+    // Unless one is a double turn
+    if (a.dir === -b.dir && a.turnAmount === 1 && b.turnAmount === 1) return true;
+  }
+  return false;
 }
 
 class RubiksCube {
-  constructor(size = 1) {
+  constructor(size = 1, grid, row = 0, col = 0) {
     this.size = size;
+    this.grid = grid; // Owning RubiksGrid (settings and shared materials)
+    this.row = row;   // Position in the grid's staircase tiling
+    this.col = col;
+
+    // Every random choice this cube makes comes from its own stream, derived from
+    // the seed and its grid coordinate, so the same seed replays the same moves
+    this.random = createRandom(hashSeed(grid.settings.seed, row, col));
     this.group = new THREE.Group();
-    this.cubeSize = size / 3;
-    this.cubies = []; // Array of {mesh, gridPos: {x,y,z}, orientation: Quaternion}
+    this.order = grid.settings.order; // Layers per axis (3 for a 3x3x3)
+    this.cubeSize = size / this.order;
+    this.cubies = []; // Array of {mesh, gridPos: {x,y,z}, state: model cubie}
+
+    // Headless cube state - the meshes mirror this model
+    this.model = new CubeModel(this.order);
 
     // Animation state
     this.isAnimating = false;
@@ -246,50 +426,82 @@ class RubiksCube {
     this.animDir = 1;
     this.animatingCubies = [];
     this.animPivot = new THREE.Group();
+    this.animFromAngle = 0;     // Pivot angle the animation starts from (non-zero after a drag)
+    this.animToAngle = 0;       // Pivot angle it ends on
+    this.animFromDrag = false;  // Settling a released drag (runs even while paused)
+    this.animMove = null;       // { axis, layer, dir, turnAmount } of the turn under way
+    this.animSolves = false;    // That turn takes the cube from unsolved to solved
+    this.isInstantMove = false; // Inside applyMoveInstant() - no events
+
+    // Drag turning state (see RubiksGrid drag mode)
+    this.isDragging = false;
+    this.dragAngle = 0;
 
     // Timing for random moves (will be set from settings.delay on first move)
     this.delay = 0;
     this.lastMoveTime = performance.now();
+    this.nextWave = 0; // Next wave-mode beat this cube moves on (see RubiksGrid.updateWaves)
+    this.timeline = [];         // Its choreography moves, [{ start, duration, move }] (see RubiksGrid.planChoreography)
+    this.choreographyIndex = 0; // Next move of that timeline
 
     // Track last move to avoid redundant moves
     this.lastMove = null; // { axis, layer, dir, turnAmount }
 
-    // Move history for solving
+    // Recent moves (informational - solving uses the model)
     this.moveHistory = [];
 
+    // Moves since the cube was last solved, for orders the two-phase solver doesn't cover
+    this.unsolveMoves = [];
+
+    // Moves requested through play(), started one after another
+    this.moveQueue = [];
+
+    // Instanced rendering (see RubiksGrid.updateInstances) - every cubie needs copying
+    // into the batch, rather than just the layer that's turning
+    this.needsInstanceUpdate = true;
+    this.needsColorUpdate = true;
+
     this.createCubies();
 
-    // Isometric view
-    this.group.rotation.x = Math.PI / 6;  // 30 degrees
-    this.group.rotation.y = -Math.PI / 4; // -45 degrees
+    // Turned for the grid's projection (see PROJECTIONS)
+    this.group.rotation.set(grid.viewAngles.x, grid.viewAngles.y, 0);
   }
 
   createCubies() {
-    // Gap between cubies creates black border effect
+    // Gap between flat cubies creates black border effect
     // Set to 0 to see exact cube boundaries for debugging
-    const gap = 0.04 * this.size;
-    const actualSize = this.cubeSize - gap;
+    const gap = getCubieGap(this.size, this.order);
+    const order = this.order;
+    const offset = (order - 1) / 2;
 
     // Use shared geometry for all cubies
-    const geom = getSharedGeometry(actualSize);
+    const geom = this.grid.getSharedGeometry(this.cubeSize, gap);
+
+    for (let x = 0; x < order; x++) {
+      for (let y = 0; y < order; y++) {
+        for (let z = 0; z < order; z++) {
+          if (!isSurfaceCubie(x, y, z, order)) continue;
 
-    for (let x = 0; x < 3; x++) {
-      for (let y = 0; y < 3; y++) {
-        for (let z = 0; z < 3; z++) {
           // Use shared materials based on position
-          const materials = getSharedMaterials(x, y, z);
+          const materials = this.grid.getSharedMaterials(x, y, z);
 
           const mesh = new THREE.Mesh(geom, materials);
           mesh.position.set(
-            (x - 1) * this.cubeSize,
-            (y - 1) * this.cubeSize,
-            (z - 1) * this.cubeSize
+            (x - offset) * this.cubeSize,
+            (y - offset) * this.cubeSize,
+            (z - offset) * this.cubeSize
           );
 
-          this.cubies.push({
+          const cubie = {
             mesh,
-            gridPos: { x, y, z }
-          });
+            gridPos: { x, y, z },
+            state: this.model.getCubieByHome(x, y, z)
+          };
+          this.cubies.push(cubie);
+
+          // Lets pointer picking get from a hit mesh back to its cube and cubie
+          mesh.userData.cube = this;
+          mesh.userData.cubie = cubie;
 
           this.group.add(mesh);
         }
@@ -298,44 +510,27 @@ class RubiksCube {
   }
 
   getCubiesInLayer(axis, layer) {
-    return this.cubies.filter(cubie => {
-      // Get current grid position based on mesh position
-      const pos = cubie.mesh.position;
-      const gx = Math.round(pos.x / this.cubeSize) + 1;
-      const gy = Math.round(pos.y / this.cubeSize) + 1;
-      const gz = Math.round(pos.z / this.cubeSize) + 1;
-
-      if (axis === 'x') return gx === layer;
-      if (axis === 'y') return gy === layer;
-      return gz === layer;
-    });
+    // Current grid position comes from the model
+    return this.cubies.filter(cubie => layerIncludes(layer, cubie.state.position[axis]));
+  }
+
+  isSolved() {
+    return this.model.isSolved();
   }
 
   startMove(axis, layer, dir, turnAmount = 1, recordHistory = true) {
     if (this.isAnimating) return;
 
-    // Record move to history for solving (unless we're already solving)
-    if (recordHistory && !this.isSolving) {
-      this.moveHistory.push({ axis, layer, dir, turnAmount });
-      // Limit history to prevent memory issues
-      if (this.moveHistory.length > 500) {
-        this.moveHistory.shift();
-      }
-    }
+    this.grabLayer(axis, layer);
+    this.turnGrabbedLayer(dir, turnAmount, recordHistory);
+  }
 
+  // Parent a layer's cubies to the pivot, ready to turn (the model is left alone until
+  // turnGrabbedLayer() knows how far it turns)
+  grabLayer(axis, layer) {
     this.isAnimating = true;
-    this.animProgress = 0;
-    this.animStartTime = null; // Will be set on first update
     this.animAxis = axis;
     this.animLayer = layer;
-    this.animDir = dir;
-    this.animTurnAmount = turnAmount; // 1 = 90°, 2 = 180°
-
-    // Adjust duration for double turns (slightly longer, but not 2x)
-    // Double turns feel natural at about 1.4x the single turn duration
-    this.currentAnimDuration = this.animDuration * (turnAmount === 2 ? 1.4 : 1);
-
-    // Get cubies in this layer
     this.animatingCubies = this.getCubiesInLayer(axis, layer);
 
     // Create pivot at center and add cubies to it
@@ -353,6 +548,132 @@ class RubiksCube {
       this.animPivot.worldToLocal(worldPos);
       cubie.mesh.position.copy(worldPos);
     });
+    this.needsInstanceUpdate = true;
+  }
+
+  // Commit the grabbed layer's move and animate the pivot from fromAngle (where a drag
+  // left it, or 0) to toAngle. turnAmount 0 just springs back without a move
+  turnGrabbedLayer(dir, turnAmount, recordHistory = true, fromAngle = 0,
+      toAngle = (Math.PI / 2) * turnAmount * dir) {
+    const axis = this.animAxis;
+    const layer = this.animLayer;
+
+    // Whether this turn is the one that solves the cube (for cubeSolved - only worked
+    // out when someone's listening)
+    const watchSolved = turnAmount > 0 && this.grid.hasListeners('cubeSolved');
+    const wasSolved = watchSolved && this.isSolved();
+
+    if (turnAmount > 0) {
+      // Record move to history (unless we're already solving)
+      if (recordHistory && !this.isSolving) {
+        this.moveHistory.push({ axis, layer, dir, turnAmount });
+        // Solving works from the model, so the history only needs to stay bounded
+        if (this.moveHistory.length > 500) {
+          this.moveHistory.shift();
+        }
+      }
+
+      // Advance the model to the post-move state
+      this.model.applyMove({ axis, layer, dir, turnAmount });
+      if (this.order !== 3 && !this.isSolving) {
+        this.recordUnsolveMove({ axis, layer, dir, turnAmount });
+      }
+    }
+
+    // The move under way, for moveStart / moveEnd (null if the layer just springs back)
+    this.animMove = turnAmount > 0 ? { axis, layer, dir, turnAmount } : null;
+    this.animSolves = watchSolved && !wasSolved && this.isSolved();
+    if (this.animMove) this.emitMove('moveStart');
+
+    this.animProgress = 0;
+    this.animStartTime = null; // Will be set on first update
+    this.animDir = dir;
+    this.animTurnAmount = turnAmount; // 1 = 90°, 2 = 180°
+    this.animFromAngle = fromAngle;
+    this.animToAngle = toAngle;
+    // Even a drag let go where it started has to settle, so it runs while paused too
+    this.animFromDrag = this.isDragging;
+
+    if (this.animFromDrag) {
+      // Released drags only cover what's left of the turn
+      const remaining = Math.abs(toAngle - fromAngle) / (Math.PI / 2);
+      this.currentAnimDuration = this.animDuration * Math.min(1, Math.max(0.25, remaining));
+    } else {
+      // Adjust duration for double turns (slightly longer, but not 2x)
+      // Double turns feel natural at about 1.4x the single turn duration
+      this.currentAnimDuration = this.animDuration * (turnAmount === 2 ? 1.4 : 1);
+    }
+  }
+
+  // Rotate the pivot around the current move's axis
+  setPivotAngle(angle) {
+    if (this.animAxis === 'x') {
+      this.animPivot.rotation.set(angle, 0, 0);
+    } else if (this.animAxis === 'y') {
+      this.animPivot.rotation.set(0, angle, 0);
+    } else {
+      this.animPivot.rotation.set(0, 0, angle);
+    }
+    this.grid.requestRender();
+  }
+
+  // --- Image mosaic ---
+
+  // Give the stickers in the given material slots their own colours, picked by colorAt
+  // (the sticker's centre in world space, null to leave it) - done while solved, so
+  // solving brings every piece of the picture back home. Other faces keep the shared
+  // scheme materials.
+  applyMosaic(slots, colorAt) {
+    const half = this.cubeSize / 2;
+    this.group.updateMatrixWorld();
+
+    this.cubies.forEach(cubie => {
+      const { x, y, z } = cubie.gridPos;
+      let materials = null;
+      slots.forEach(slot => {
+        if (!hasSticker(slot, x, y, z, this.order)) return;
+        const centre = cubie.mesh.position.clone().addScaledVector(FACE_DIRECTIONS[slot], half);
+        const color = colorAt(this.group.localToWorld(centre));
+        if (color === null) return;
+        materials = materials || cubie.mesh.material.slice();
+        materials[slot] = this.grid.getMosaicMaterial(color);
+      });
+      if (materials) cubie.mesh.material = materials;
+    });
+    this.needsColorUpdate = true;
+    this.grid.requestRender();
+  }
+
+  // --- Drag turning ---
+
+  // Start turning a layer by hand (the pivot then follows setDragAngle())
+  beginDrag(axis, layer) {
+    if (this.isAnimating) {
+      this.finishMove();
+    }
+    this.isDragging = true;
+    this.dragAngle = 0;
+    this.grabLayer(axis, layer);
+  }
+
+  setDragAngle(angle) {
+    if (!this.isDragging) return;
+    this.dragAngle = angle;
+    this.setPivotAngle(angle);
+  }
+
+  // Let go: snap to the nearest quarter turn and record it as a move
+  endDrag() {
+    if (!this.isDragging) return;
+
+    const quarterTurns = Math.round(this.dragAngle / (Math.PI / 2));
+    const turns = ((quarterTurns % 4) + 4) % 4;
+    const dir = turns === 3 ? -1 : 1;
+    const turnAmount = turns === 3 ? 1 : turns;
+    // Animate to where the layer visibly is, even past a full turn (still dragging,
+    // so turnGrabbedLayer knows it's settling a drag)
+    this.turnGrabbedLayer(dir, turnAmount, true, this.dragAngle, quarterTurns * (Math.PI / 2));
+    this.isDragging = false;
   }
 
   // Custom ease: quick acceleration, smooth deceleration with slight settle
@@ -370,12 +691,15 @@ class RubiksCube {
   }
 
   updateAnimation(currentTime) {
-    // If paused, freeze the current animation progress
-    if (settings.playback === 'pause' && !this.isSolving) {
+    const settings = this.grid.settings;
+
+    // If paused, freeze the current animation progress (a released drag still settles)
+    if (settings.playback === 'pause' && !this.isSolving && !this.animFromDrag) {
       return;
     }
 
-    if (!this.animStartTime) {
+    const starting = !this.animStartTime;
+    if (starting) {
       this.animStartTime = currentTime;
     }
 
@@ -390,26 +714,28 @@ class RubiksCube {
     const adjustedDuration = this.currentAnimDuration / speedMultiplier;
     this.animProgress = Math.min(elapsed / adjustedDuration, 1);
 
+    // A released drag was already under way, so it only makes the sound of landing
+    if (starting && !this.animFromDrag) {
+      this.grid.playTurnSound(this, 'start', adjustedDuration);
+    }
+
     if (this.animProgress >= 1) {
+      this.grid.playTurnSound(this, 'end', adjustedDuration);
       this.finishMove();
     } else {
       // Use the finger flick easing for natural cube rotation feel
       const eased = this.easeFingerFlick(this.animProgress);
-      // Multiply by turnAmount: 1 for 90°, 2 for 180°
-      const angle = (Math.PI / 2) * this.animTurnAmount * eased * this.animDir;
-
-      // Rotate the pivot
-      if (this.animAxis === 'x') {
-        this.animPivot.rotation.set(angle, 0, 0);
-      } else if (this.animAxis === 'y') {
-        this.animPivot.rotation.set(0, angle, 0);
-      } else {
-        this.animPivot.rotation.set(0, 0, angle);
-      }
+      // From 0 (or a released drag's angle) to 90° * turnAmount * direction
+      this.setPivotAngle(this.animFromAngle + (this.animToAngle - this.animFromAngle) * eased);
     }
   }
 
   update(currentTime) {
+    const settings = this.grid.settings;
+
+    // A layer held by the pointer only moves with the pointer
+    if (this.isDragging) return;
+
     // Handle solve animation
     if (this.isSolving) {
       // Run normal animation update, then check if we need next solve move
@@ -425,19 +751,28 @@ class RubiksCube {
     if (this.isAnimating) {
       this.updateAnimation(currentTime);
     } else {
+      // Queued moves run even when stopped, but wait while paused
+      if (this.moveQueue.length > 0) {
+        if (settings.playback !== 'pause') {
+          const move = this.moveQueue.shift();
+          this.startMove(move.axis, move.layer, move.dir, move.turnAmount);
+        }
+        return;
+      }
+
       // Don't start new moves if paused or stopped
       if (settings.playback === 'pause' || settings.playback === 'stop') {
         return;
       }
 
-      // Sync mode is handled in the main animate loop
+      // Sync mode and waves are handled in the main animate loop
       // Independent mode: each cube has its own timing (skip if loop mode handles it)
-      if (!settings.sync && !settings.loop) {
+      if (!settings.sync && !settings.loop && settings.wave === 'off') {
         const baseDelay = settings.delay;
         const randomVariation = baseDelay * 0.3;
         if (currentTime - this.lastMoveTime > this.delay) {
           this.lastMoveTime = currentTime;
-          this.delay = baseDelay + (Math.random() - 0.5) * 2 * randomVariation;
+          this.delay = baseDelay + (this.random() - 0.5) * 2 * randomVariation;
           this.randomMove();
         }
       }
@@ -445,15 +780,10 @@ class RubiksCube {
   }
 
   finishMove() {
+    const settings = this.grid.settings;
+
     // Set final rotation (90° * turnAmount * direction)
-    const finalAngle = (Math.PI / 2) * this.animTurnAmount * this.animDir;
-    if (this.animAxis === 'x') {
-      this.animPivot.rotation.set(finalAngle, 0, 0);
-    } else if (this.animAxis === 'y') {
-      this.animPivot.rotation.set(0, finalAngle, 0);
-    } else {
-      this.animPivot.rotation.set(0, 0, finalAngle);
-    }
+    this.setPivotAngle(this.animToAngle);
 
     // Move cubies back to main group with their new world transforms
     this.animatingCubies.forEach(cubie => {
@@ -471,9 +801,9 @@ class RubiksCube {
       this.group.worldToLocal(worldPos);
 
       // Snap position to grid
-      worldPos.x = Math.round(worldPos.x / this.cubeSize) * this.cubeSize;
-      worldPos.y = Math.round(worldPos.y / this.cubeSize) * this.cubeSize;
-      worldPos.z = Math.round(worldPos.z / this.cubeSize) * this.cubeSize;
+      worldPos.x = snapToCubie(worldPos.x, this.cubeSize, this.order);
+      worldPos.y = snapToCubie(worldPos.y, this.cubeSize, this.order);
+      worldPos.z = snapToCubie(worldPos.z, this.cubeSize, this.order);
 
       cubie.mesh.position.copy(worldPos);
 
@@ -490,61 +820,136 @@ class RubiksCube {
 
     this.isAnimating = false;
     this.animatingCubies = [];
+    this.animFromDrag = false;
+    this.needsInstanceUpdate = true;
+
+    if (this.animMove) {
+      this.emitMove('moveEnd');
+      if (this.animSolves) this.grid.emit('cubeSolved', { cube: this.getId() });
+      if (this.loopCompleting) {
+        this.loopCompleting = false;
+        this.loopCycles++;
+        this.grid.emit('loopComplete', { cube: this.getId(), cycle: this.loopCycles });
+      }
+      this.animMove = null;
+    }
 
     // For sync mode with 0 delay, immediately start next move
     // This eliminates the 1-frame delay between moves
-    if (!this.isSolving && !settings.loop && settings.sync && settings.delay === 0 &&
+    if (!this.isSolving && !settings.loop && settings.sync && settings.wave === 'off' && settings.delay === 0 &&
         settings.playback !== 'pause' && settings.playback !== 'stop') {
       this.randomMove();
     }
   }
 
-  randomMove() {
-    const axes = ['x', 'y', 'z'];
-    // Only use outer layers (0 and 2) - matches real cube scrambling
-    // and ensures Kociemba solver can find solutions
-    const outerLayers = [0, 2];
-    let axis, layer, dir, turnAmount;
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    do {
-      axis = axes[Math.floor(Math.random() * 3)];
-      layer = outerLayers[Math.floor(Math.random() * 2)];
-      dir = Math.random() < 0.5 ? 1 : -1;
-
-      // 25% chance of double turn (180°), 75% chance of single turn (90°)
-      const isDoubleTurn = Math.random() < 0.25;
-      turnAmount = isDoubleTurn ? 2 : 1;
-
-      attempts++;
-    } while (this.isRedundantMove(axis, layer, dir, turnAmount) && attempts < maxAttempts);
+  // Make a move at once, without animating it (and without telling the page - nobody
+  // sees it happen)
+  applyMoveInstant(move) {
+    if (this.isAnimating) this.finishMove();
+    this.isInstantMove = true;
+    this.startMove(move.axis, move.layer, move.dir, move.turnAmount);
+    this.animMove = null;
+    this.finishMove();
+    this.isInstantMove = false;
+  }
 
-    // Store this move for comparison
-    this.lastMove = { axis, layer, dir, turnAmount };
+  // { row, col } - how the page knows a cube (as getCubeAt() gives it)
+  getId() {
+    return { row: this.row, col: this.col };
+  }
 
-    this.startMove(axis, layer, dir, turnAmount);
+  // Tell the page about the move under way
+  emitMove(type) {
+    if (this.isInstantMove || !this.grid.hasListeners(type)) return;
+    const move = { ...this.animMove };
+    // Not every move has notation (e.g. a play()ed turn of layers that aren't side by side)
+    let notation = null;
+    try {
+      notation = formatMoves([move], this.order);
+    } catch (err) {
+      // Leave it null
+    }
+    this.grid.emit(type, { cube: this.getId(), move, notation });
   }
 
-  isRedundantMove(axis, layer, dir, turnAmount) {
-    if (!this.lastMove) return false;
+  // Jump straight to a random state a number of moves away (no animation)
+  scramble(moveCount) {
+    for (let i = 0; i < moveCount; i++) {
+      this.lastMove = generateRandomMove(this.lastMove, this.grid.settings, this.random);
+      this.applyMoveInstant(this.lastMove);
+    }
+  }
 
-    const last = this.lastMove;
+  // Back to solved with nothing under way or waiting (used when seeking a choreography)
+  reset() {
+    this.endDrag();
+    if (this.isAnimating) this.finishMove();
+    this.finishSolve();
+    this.moveQueue.length = 0;
+    this.moveHistory = [];
+    this.unsolveMoves = [];
+    this.model.reset();
+
+    const offset = (this.order - 1) / 2;
+    this.cubies.forEach(cubie => {
+      const { x, y, z } = cubie.gridPos;
+      cubie.state = this.model.getCubieByHome(x, y, z);
+      cubie.mesh.position.set(
+        (x - offset) * this.cubeSize,
+        (y - offset) * this.cubeSize,
+        (z - offset) * this.cubeSize
+      );
+      cubie.mesh.quaternion.identity();
+    });
+    this.needsInstanceUpdate = true;
+    this.grid.requestRender();
+  }
 
-    // Same axis and layer
-    if (last.axis === axis && last.layer === layer) {
-      // Exact same move repeated (e.g., R then R again)
-      if (last.dir === dir) return true;
+  /**
+   * Queue a move sequence to play after any current animation
+   * @param {string|Array} sequence - Notation ("R U R' U'") or a list of moves
+   */
+  play(sequence) {
+    this.moveQueue.push(...toMoves(sequence, this.order));
+  }
 
-      // Opposite direction cancels out (e.g., R then R')
-      // Unless one is a double turn
-      if (last.dir === -dir && last.turnAmount === 1 && turnAmount === 1) return true;
+  /**
+   * Moves this cube has made (up to the last 500)
+   * @param {Object} options
+   * @param {string} options.format - 'moves' (default) for move objects, 'singmaster' for a notation string
+   */
+  getMoveHistory({ format = 'moves' } = {}) {
+    if (format === 'singmaster') {
+      return formatMoves(this.moveHistory, this.order);
     }
+    return this.moveHistory.map(move => ({ ...move }));
+  }
 
-    return false;
+  randomMove() {
+    // Queued moves (play()) take priority over random ones
+    if (this.moveQueue.length > 0) return;
+    // The cube under keyboard control, and every cube in a choreography, only moves when told to
+    if (this.grid.focusedCube === this || this.grid.choreography) return;
+
+    const move = generateRandomMove(this.lastMove, this.grid.settings, this.random);
+
+    // Store this move for comparison
+    this.lastMove = move;
+
+    this.startMove(move.axis, move.layer, move.dir, move.turnAmount);
+  }
+
+  // The two-phase solver only handles 3x3s, so other orders solve by undoing every
+  // move since the cube was last solved. Moves are folded into the list where they can
+  // be (see appendReduced) so it stays short
+  recordUnsolveMove(move) {
+    appendReduced(this.unsolveMoves, move);
+    if (this.model.isSolved()) {
+      this.unsolveMoves = [];
+    }
   }
 
-  // Solve by animating through reverse moves
+  // Solve by animating through a list of moves
   startSolutionSolve(moves) {
     if (this.isSolving) return;
 
@@ -557,7 +962,9 @@ class RubiksCube {
     this.solveMoves = [...moves];
     this.solveCurrentMoveIndex = 0;
     this.solveTotalMoves = moves.length;
+    this.solveMovesPerTurn = Math.ceil(moves.length / MAX_SOLVE_TURNS);
     this.moveHistory = []; // Clear history
+    this.unsolveMoves = [];
 
     // Start the first solve move
     this.startNextSolveMove();
@@ -566,20 +973,7 @@ class RubiksCube {
   // Calculate solve speed multiplier based on progress (accelerates as solve progresses)
   getSolveSpeedMultiplier() {
     if (!this.solveTotalMoves || this.solveTotalMoves === 0) return 1;
-
-    // Progress from 0 to 1
-    const progress = this.solveCurrentMoveIndex / this.solveTotalMoves;
-
-    // Start at user's selected speed, end at 25x that speed
-    // Using ease-out curve so speed ramps up quickly at the start
-    const minMultiplier = 1;
-    const maxMultiplier = 25;
-
-    // Ease-out cubic: fast acceleration at start, then levels off
-    // 1 - (1-t)^3 gives rapid initial increase
-    const eased = 1 - Math.pow(1 - progress, 3);
-
-    return minMultiplier + (maxMultiplier - minMultiplier) * eased;
+    return solveSpeedMultiplier(this.solveCurrentMoveIndex / this.solveTotalMoves);
   }
 
   startNextSolveMove() {
@@ -589,29 +983,37 @@ class RubiksCube {
       return;
     }
 
+    // A long undo list (a big cube that's been turning a long time) shows one turn in
+    // every few, making the ones before it at once, so the solve takes no longer than
+    // MAX_SOLVE_TURNS turns
+    const last = Math.min(this.solveMoves.length, this.solveCurrentMoveIndex + this.solveMovesPerTurn) - 1;
+    while (this.solveCurrentMoveIndex < last) {
+      this.applyMoveInstant(this.solveMoves[this.solveCurrentMoveIndex++]);
+    }
+
     const move = this.solveMoves[this.solveCurrentMoveIndex];
     this.solveCurrentMoveIndex++;
 
     this.startMove(move.axis, move.layer, move.dir, move.turnAmount, false);
   }
 
-  // Main solve entry point - reverses all moves to solve
+  // Main solve entry point - runs the two-phase solver on the current state
   startSolve() {
     if (this.isSolving) return;
 
-    // If currently animating a move, finish it first
+    // Let go of a layer held by the pointer, drop moves still waiting to play (they
+    // would undo the solve), then finish any move that's animating
+    this.endDrag();
+    this.moveQueue.length = 0;
     if (this.isAnimating) {
       this.finishMove();
     }
 
-    // If we have move history, reverse the moves to solve
-    if (this.moveHistory.length > 0) {
-      const solution = solveCube(this.moveHistory);
-
-      if (solution.length > 0) {
-        // Apply solution moves (reversed scramble)
-        this.startSolutionSolve(solution);
-      }
+    const solution = this.order === 3
+      ? solveCube(this.model)
+      : this.unsolveMoves.slice().reverse().map(m => ({ ...m, dir: -m.dir }));
+    if (solution.length > 0) {
+      this.startSolutionSolve(solution);
     }
     // Already solved - nothing to do
   }
@@ -619,7 +1021,7 @@ class RubiksCube {
   updateSolve(currentTime) {
     if (!this.isSolving) return;
 
-    if (settings.playback === 'pause') {
+    if (this.grid.settings.playback === 'pause') {
       return;
     }
 
@@ -644,24 +1046,11 @@ class RubiksCube {
   // Pre-compute a palindrome move sequence for seamless looping.
   // First half = random moves, second half = exact reverse to return to start.
   precomputeLoopSequence(moveCount) {
-    const axes = ['x', 'y', 'z'];
-    const outerLayers = [0, 2];
-
     // Generate random forward moves with redundancy filtering
     const forward = [];
     let prev = null;
     for (let i = 0; i < moveCount; i++) {
-      let axis, layer, dir, turnAmount;
-      let attempts = 0;
-      do {
-        axis = axes[Math.floor(Math.random() * 3)];
-        layer = outerLayers[Math.floor(Math.random() * 2)];
-        dir = Math.random() < 0.5 ? 1 : -1;
-        turnAmount = Math.random() < 0.25 ? 2 : 1;
-        attempts++;
-      } while (prev && this._isRedundantPair(prev, { axis, layer, dir, turnAmount }) && attempts < 10);
-
-      const move = { axis, layer, dir, turnAmount };
+      const move = generateRandomMove(prev, this.grid.settings, this.random);
       forward.push(move);
       prev = move;
     }
@@ -674,548 +1063,2555 @@ class RubiksCube {
     // Full sequence: forward then reverse — guaranteed to return to start
     this.loopSequence = [...forward, ...reverse];
     this.loopIndex = 0;
-  }
-
-  // Check if two consecutive moves would look redundant
-  _isRedundantPair(a, b) {
-    if (a.axis === b.axis && a.layer === b.layer) {
-      if (a.dir === b.dir) return true;
-      if (a.dir === -b.dir && a.turnAmount === 1 && b.turnAmount === 1) return true;
-    }
-    return false;
+    this.loopCycles = 0;           // Times round the whole sequence
+    this.loopCompleting = false;   // The sequence's last move is under way
+    this.loopMovesLeft = Infinity; // Exporting a single loop counts these down
   }
 
   // Play next move from the loop sequence
   playNextLoopMove() {
     if (!this.loopSequence || this.loopSequence.length === 0) return;
+    if (this.loopMovesLeft <= 0) return;
+    this.loopMovesLeft--;
     const move = this.loopSequence[this.loopIndex];
     this.loopIndex = (this.loopIndex + 1) % this.loopSequence.length;
     this.startMove(move.axis, move.layer, move.dir, move.turnAmount, false);
+    // Wrapped round - the cycle is complete once this move lands (see finishMove)
+    if (this.loopIndex === 0) this.loopCompleting = true;
   }
 }
 
 // Grid
-const cubes = [];
 const cubeSize = 2.0;
 
-// Controller settings
-let settings = {
+// How long a typed move waits for more modifiers (' 2 w) before it plays, in ms
+const TYPED_MOVE_WAIT = 600;
+
+// Zoom limits (rows and columns across the view) for the slider, wheel and pinch
+const MIN_GRID_SIZE = 2;
+const MAX_GRID_SIZE = 16;
+
+// How quickly the view catches up with a zoom - ms for it to get about two thirds of the way
+const VIEW_EASE_TIME = 90;
+
+// How long switching projections takes (ms)
+const PROJECTION_TRANSITION_TIME = 800;
+
+// Narrower than this (degrees), a perspective camera looks orthographic - so the
+// orthographic camera takes over, and a switch to or from perspective starts or
+// ends there
+const MIN_PERSPECTIVE_FOV = 1;
+
+// Fixed 10 forward moves — palindrome gives exactly 22 moves per cycle
+// (10 forward + bridge + 10 reverse + bridge)
+// The loop duration is determined purely by animation speed and delay settings
+const LOOP_MOVE_COUNT = 10;
+
+// Default controller settings - initRubiks() options override these per instance
+const DEFAULT_SETTINGS = {
   speed: 1,           // Animation speed (slider value, scaled internally by 0.4)
   delay: 0,           // Delay between moves in ms (slider value)
   gridSize: 10,       // Number of rows/cols
   sync: false,        // Whether all cubes move at the same time
   playback: 'play',   // 'play', 'pause', or 'stop'
   colorScheme: 'classic',
+  background: null,   // A colour, 'linear-gradient(top, bottom)' or 'transparent' (null: the scheme's own)
   hoverMode: false,   // Whether cubes rotate on hover
+  dragMode: false,    // Whether layers can be turned by dragging them
+  keyboardMode: false, // Whether the keyboard turns a focused cube (picked with arrow keys or a click)
+  keyLayout: 'speedcubing', // 'speedcubing' (I/K = R/R' and so on) or 'singmaster' (type the notation)
+  wave: 'off',        // Spatial timing: 'off', 'ripple', 'diagonal', 'rows', 'columns' or 'checkerboard'
+  waveSpeed: 8,       // Cubes per second a wave front travels
+  waveDirection: 'forward', // 'forward' or 'reverse' (ripples move inwards)
+  waveOrigin: 'center', // Where ripples start: 'center' or 'cursor'
   loop: false,        // Whether to auto-loop (scramble -> solve -> repeat)
+  seed: null,         // Seed for every random choice (null picks one - see getSettings())
+  order: 3,           // Layers per cube edge (2 for a 2x2x2 up to 7 for a 7x7x7)
+  sliceMoveChance: 0, // Probability (0-1) of a random move turning an inner layer
+  wideMoveChance: 0,  // Probability (0-1) of a random move turning two layers at once
+  instanced: true,    // Draw every cubie in one InstancedMesh (false: a mesh per cubie)
+  cubieStyle: 'flat', // 'flat' (coloured boxes) or 'sticker' (dark plastic bodies with rounded stickers)
+  lighting: false,    // Shade the cubies with a light rig (false: flat colours)
+  reflowScramble: 20, // Random moves for cubes coming into view on a resize, zoom or pan, to match scrambled neighbours
+  maxFps: 0,          // Frame rate cap (0 for the display's own rate)
+  projection: 'dimetric', // 'isometric', 'dimetric', 'trimetric', 'top-down' or 'perspective' (see projections.js)
+  sound: false,       // Turn sounds and the solve's speed-up (silent until the page is first clicked or typed in)
+  soundVolume: 0.6,   // 0 - 1
+  panZoom: false,     // Whether the wheel and pinches zoom, and dragging pans the view (middle button while drag mode is on)
 };
 
-// Loop mode state
-let loopStartTime = -1;   // Timing for next loop move
-
-// Sync mode state - use -1 to indicate not initialized yet
-let syncNextMoveTime = -1;
-
-// Hover mode state
-const raycaster = new THREE.Raycaster();
-const mouse = new THREE.Vector2();
-let hoveredCube = null;
-
-// Calculate exact projected dimensions for isometric cube
-// Rotation: X = 30° (π/6), Y = -45° (-π/4)
-function getProjectedCubeCorners(size) {
-  const rotX = Math.PI / 6;
-  const rotY = -Math.PI / 4;
-  const h = size / 2;
-
-  // 8 corners of cube
-  const corners = [
-    [-h, -h, -h], [h, -h, -h], [-h, h, -h], [h, h, -h],
-    [-h, -h, h], [h, -h, h], [-h, h, h], [h, h, h]
-  ];
-
-  const cosX = Math.cos(rotX), sinX = Math.sin(rotX);
-  const cosY = Math.cos(rotY), sinY = Math.sin(rotY);
-
-  const projected = corners.map(([x, y, z]) => {
-    // Rotate around Y first
-    const x1 = x * cosY + z * sinY;
-    const z1 = -x * sinY + z * cosY;
-    // Then rotate around X
-    const y2 = y * cosX - z1 * sinX;
-    return { x: x1, y: y2 };
-  });
+// Settings whose rubiks-settings event type differs from the settings key
+const SETTING_EVENT_TYPES = {
+  gridSize: 'grid'
+};
 
-  return projected;
+// What a grid tells the page about, through controller.on(type, callback) - each
+// callback gets one object:
+//   moveStart, moveEnd    A cube's turn starting or landing: { cube, move, notation } (null
+//                         notation if it has none)
+//   cubeSolved            A cube's turn took it from unsolved to solved: { cube }
+//   solved                Every cube solved after a solve: { cubes } (how many)
+//   loopComplete          A cube back where its loop started: { cube, cycle }
+//   colorTransitionEnd    A scheme or background fade finished: { colorScheme }
+//   gridRebuilt           Fresh cubes (new size, order, style, ...): { cubes }
+// cube is { row, col }, as getCubeAt() gives it. Moves made without animating (a
+// scramble for cubes coming into view, seeking a choreography) aren't reported
+const GRID_EVENTS = ['moveStart', 'moveEnd', 'cubeSolved', 'solved', 'loopComplete', 'colorTransitionEnd', 'gridRebuilt'];
+
+// Height of the view (in world units) that fits a grid size - 6 rows and columns is baseFrustumSize
+function frustumSizeFor(gridSize) {
+  return baseFrustumSize * (gridSize / 6);
 }
 
-const corners = getProjectedCubeCorners(cubeSize);
-
-// Find key points for tiling:
-// - rightmost point (max X)
-// - leftmost point (min X)
-// - topmost point (max Y)
-// - bottommost point (min Y)
-const minX = Math.min(...corners.map(c => c.x));
-const maxX = Math.max(...corners.map(c => c.x));
-const minY = Math.min(...corners.map(c => c.y));
-const maxY = Math.max(...corners.map(c => c.y));
-
-// Projected width and height
-const projWidth = maxX - minX;
-const projHeight = maxY - minY;
-
-// For isometric tiling, we need to identify key corner points
-// Corner indices after projection (from original 3D positions):
-// 0: (-h,-h,-h), 1: (h,-h,-h), 2: (-h,h,-h), 3: (h,h,-h)
-// 4: (-h,-h,h),  5: (h,-h,h),  6: (-h,h,h),  7: (h,h,h)
-
-// For tiling like stairs going down-right:
-// - Row spacing: from the bottom edge of one cube's top face to the top of the next cube
-// - Shift: the horizontal distance to align the left edge of lower cube with left edge of upper cube's top face
-
-// Find top face corners (original y = +h, indices 2,3,6,7)
-const topFaceCorners = [corners[2], corners[3], corners[6], corners[7]];
-const topFaceLeftmost = topFaceCorners.reduce((a, b) => a.x < b.x ? a : b);
-const topFaceRightmost = topFaceCorners.reduce((a, b) => a.x > b.x ? a : b);
-
-// Top face width (used for horizontal shift in staircase pattern)
-const topFaceWidth = topFaceRightmost.x - topFaceLeftmost.x;
-
-// For brick-like tiling:
-// - Horizontal spacing between cubes in same row = projWidth (full width)
-// - Vertical spacing = from one row's leftmost point to where next row starts
-// - Horizontal shift per row = half the top face width (for brick offset)
-
-// The key insight: for seamless vertical tiling, the bottom of the top face
-// should meet the top of the next cube. So spacing = projHeight - topFaceHeight.
-// But we also need the horizontal edges to match.
-
-// Looking at the geometry: cubes should tile such that:
-// - The left "V" point of one cube meets the right "V" point of the next
-// In isometric, this means:
-// - shiftX = topFaceWidth / 2 (half the diamond width)
-// - spacingY = topFaceHeight (distance from one row's peak to next row's peak when they interlock)
-
-// Perfect isometric tiling using exact mathematical derivation
-//
-// For a cube rotated 30° around X then -45° around Y:
-// The visible shape has a specific width and height in screen space.
-//
-// Key insight: We only need to know how far apart to place cubes so their
-// edges exactly touch (no gaps, no overlap).
-
-function createGrid() {
-  // Update camera zoom for new grid size
-  updateCameraZoom();
-
-  // Remove old cubes from scene
-  cubes.forEach(c => {
-    scene.remove(c.group);
-  });
-  cubes.length = 0;
+// One full-screen (or container-filling) grid of cubes with its own scene,
+// camera, renderer, settings and material cache
+class RubiksGrid {
+  constructor(containerElement = null, options = {}) {
+    const { eventTarget = window, syncUrl = false, defaults = {}, ...initialSettings } = options;
+
+    this.container = containerElement;
+    this.eventTarget = eventTarget;
+    this.syncUrl = syncUrl; // Restore settings from, and keep them in, the URL hash
+    this.urlUpdateTimer = null;
+    // This page's defaults - what the URL hash leaves out
+    this.defaults = { ...DEFAULT_SETTINGS, ...defaults };
+    this.settings = {
+      ...this.defaults,
+      ...initialSettings,
+      ...(syncUrl ? readUrlSettings(window.location.hash, this.defaults) : {})
+    };
+    if (syncUrl) {
+      this.restoreUrlPalette();
+    }
+    if (!COLOR_SCHEMES[this.settings.colorScheme]) {
+      console.warn(`Unknown colour scheme "${this.settings.colorScheme}" - using classic`);
+      this.settings.colorScheme = 'classic';
+    }
+    if (this.settings.background !== null && !parseBackground(this.settings.background)) {
+      console.warn(`Unknown background "${this.settings.background}" - using the colour scheme's`);
+      this.settings.background = null;
+    }
+    if (!PROJECTIONS[this.settings.projection]) {
+      console.warn(`Unknown projection "${this.settings.projection}" - using dimetric`);
+      this.settings.projection = 'dimetric';
+    }
+    if (!CUBIE_STYLES.includes(this.settings.cubieStyle)) {
+      console.warn(`Unknown cubie style "${this.settings.cubieStyle}" - using flat`);
+      this.settings.cubieStyle = 'flat';
+    }
+    this.settings.order = clampOrder(this.settings.order);
+    if (this.settings.seed === null || this.settings.seed === undefined) {
+      this.settings.seed = randomSeed();
+    }
+    this.cubes = [];
+
+    // Color scheme state
+    const initialColors = COLOR_SCHEMES[this.settings.colorScheme];
+    this.currentColors = initialColors;
+    this.targetColors = initialColors;
+    this.currentBackground = this.backgroundFor(this.settings.colorScheme); // { top, bottom, alpha }, fading with the colours
+    this.targetBackground = this.currentBackground;
+    this.colorTransitionProgress = 1; // 0 to 1, 1 = complete
+    this.colorTransitionStartTime = null;
+
+    // Shared geometry and materials cache for performance
+    // Each cubie position (x,y,z) has a unique material combination
+    this.sharedGeometry = null;
+    this.sharedMaterials = {}; // Key: "x,y,z" -> materials array
+    this.bodyMaterial = null;  // Sticker cubies' plastic, shared by all of them
+
+    // Instanced rendering - one batch for every cubie in the grid (see updateInstances)
+    this.instances = null;
+    this.instanceColorsDirty = false; // Shared material colours changed, so recolour every instance
+
+    // Camera state - the view eases towards its target after a zoom (see updateView)
+    this.currentFrustumSize = frustumSizeFor(this.settings.gridSize);
+    this.viewCenter = new THREE.Vector2(); // World point in the middle of the view
+    this.viewTarget = { x: 0, y: 0, size: this.currentFrustumSize };
+    this.viewTime = null;    // Clock time of the last view update, to ease from
+    this.viewMoved = false;  // Panned or snapped since the grid last covered the view
+    this.aspect = 1;
+
+    // Projection state - how every cube is turned and the camera's field of view (see
+    // projections.js), animated from one projection to the next by updateProjection
+    this.viewAngles = { ...PROJECTIONS[this.settings.projection] }; // { x, y, fov }
+    this.projectionTransition = null; // { from, to, start } while switching
+
+    // Loop mode state
+    this.loopStartTime = -1;   // Timing for next loop move
+
+    // Sync mode state - use -1 to indicate not initialized yet
+    this.syncNextMoveTime = -1;
+
+    // Wave mode state - the beats still reaching some cube, and when the next one starts
+    this.waves = [];          // [{ number, start, delays }] with delays a Map of cube -> ms
+    this.waveNumber = 0;      // Number of the next beat
+    this.waveNextTime = -1;   // -1 until the first beat
+
+    // Choreography state (see playChoreography) - null unless a script is playing
+    this.choreography = null;
+
+    // Grid-wide random choices (sync timing), reseeded whenever the grid is rebuilt
+    this.random = null;
+
+    // Cubes still waiting to compute their solution (spread over frames)
+    this.pendingSolves = [];
+    this.solveRequested = false; // A solve is under way, to report when every cube is done
+
+    // Page callbacks by event type (see GRID_EVENTS)
+    this.listeners = new Map();
+
+    // Lattice the cubes sit on (see createGrid), for picking cubes without raycasting them all
+    this.layout = null;          // { spacingX, shiftX, spacingY, riseY }
+    this.cubesByCell = new Map(); // "row,col" -> cube
+
+    // Hover mode state
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+    this.hoveredCube = null;
+
+    // Drag mode state - the layer being turned by the pointer, if any
+    this.pointer = new THREE.Vector2();
+    this.drag = null;
+
+    // Pan and zoom state - pointers down on the canvas, for pans and pinches (see onGestureMove)
+    this.gesturePointers = new Map(); // pointerId -> { x, y } last seen
+
+    // Image mosaic state (see showImage)
+    this.mosaic = null;                // { image, fit, frame, sampler } while a picture is shown
+    this.mosaicMaterials = new Map();  // 0xRRGGBB -> material, shared by every sticker of that colour
+    this.mosaicScrambling = false;     // Cubes are scrambling before they solve into the picture
+
+    // Keyboard mode state - the focused cube is found again by row/col after a rebuild
+    this.focus = { row: 0, col: 0 };
+    this.focusedCube = null;
+    this.focusOutline = null;
+    this.typer = new NotationTyper();
+    this.typeTimer = null;
+
+    // Frame scheduling - a frame is only drawn when something on screen has changed, and
+    // the loop stops while nobody can see the canvas (see setSuspended)
+    this.animationId = null;
+    this.needsRender = true;        // Something changed since the last frame drawn
+    this.lastFrameTime = null;      // Clock time of the last frame let through the maxFps cap
+    this.suspendReasons = new Set(); // 'hidden' (tab in the background) and/or 'offscreen' (scrolled away)
+    this.suspendedAt = 0;           // performance.now() when the loop stopped
+    this.visibilityObserver = null;
+    this.isDestroyed = false;
+    this.isExporting = false; // exportFrames() drives the clock while true
+
+    // Procedural sound (see audio.js) - null while the sound setting is off
+    this.audio = null;
+
+    this.animate = this.animate.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onSettingsEvent = this.onSettingsEvent.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    const size = this.getContainerSize();
+    this.aspect = size.width / size.height;
+
+    // Scene setup
+    this.scene = new THREE.Scene();
+    // Drawn behind the cubes rather than cleared to, so it can be a gradient or nothing
+    this.backdrop = new Backdrop();
+    this.backdrop.set(this.currentBackground);
+    this.scene.add(this.backdrop.mesh);
+    // Only lit materials respond to it (see the lighting setting)
+    this.scene.add(createLightRig());
+
+    // Cameras - this.camera is whichever the projection uses (see updateCameraZoom)
+    this.orthoCamera = new THREE.OrthographicCamera(
+      -this.currentFrustumSize * this.aspect / 2,
+      this.currentFrustumSize * this.aspect / 2,
+      this.currentFrustumSize / 2,
+      -this.currentFrustumSize / 2,
+      0.1,
+      1000
+    );
+    this.orthoCamera.position.set(0, 0, 10);
+    this.orthoCamera.lookAt(0, 0, 0);
+    this.perspectiveCamera = new THREE.PerspectiveCamera(PROJECTIONS.perspective.fov, this.aspect, 0.1, 1000);
+    this.camera = this.orthoCamera;
+
+    // Renderer - with an alpha channel cleared to nothing, so a transparent background
+    // shows the page
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    this.renderer.setClearColor(0x000000, 0);
+    this.renderer.setSize(size.width, size.height);
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+
+    // Append canvas to container or body
+    if (this.container) {
+      this.container.appendChild(this.renderer.domElement);
+    } else {
+      document.body.appendChild(this.renderer.domElement);
+    }
 
-  // Clear shared cache (geometry and materials) so they get recreated with current colors
-  clearSharedCache();
+    // Set up event listeners
+    window.addEventListener('resize', this.onResize);
+    window.addEventListener('mousemove', this.onMouseMove);
+    this.renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+    window.addEventListener('pointercancel', this.onPointerUp);
+    this.renderer.domElement.addEventListener('wheel', this.onWheel, { passive: false });
+    window.addEventListener('keydown', this.onKeyDown);
+    if (this.eventTarget) {
+      this.eventTarget.addEventListener('rubiks-settings', this.onSettingsEvent);
+    }
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.visibilityObserver = new IntersectionObserver(entries => {
+        const entry = entries[entries.length - 1];
+        this.setSuspended('offscreen', !entry.isIntersecting);
+      });
+      this.visibilityObserver.observe(this.renderer.domElement);
+    }
 
-  // Use the pre-calculated projected dimensions
-  // projWidth = total width of isometric cube in screen X
-  // projHeight = total height of isometric cube in screen Y
+    this.updateAudio();
 
-  // For perfect isometric tiling with cubes in staircase pattern
-  // Match the gap between cubes to the cubie border width (0.04 * cubeSize)
+    // Hover mode takes over from auto playback
+    if (this.settings.hoverMode) {
+      this.settings.playback = 'stop';
+    }
+    if (!WAVE_MODES.includes(this.settings.wave)) {
+      console.warn(`Unknown wave mode "${this.settings.wave}", using off`);
+      this.settings.wave = 'off';
+    }
+    if (!KEY_LAYOUTS.includes(this.settings.keyLayout)) {
+      console.warn(`Unknown key layout "${this.settings.keyLayout}", using speedcubing`);
+      this.settings.keyLayout = 'speedcubing';
+    }
+    this.updateTouchAction();
 
-  // The cubie gap creates a border of 0.04 * cubeSize = 0.08 units
-  // We want the same visual gap between full cubes
-  const cubieGapFraction = 0.04; // Same as in createCubies()
+    // Create grid and start animation
+    this.createGrid();
+    if (this.settings.loop) {
+      this.applySetting('loop', true);
+    }
+    this.animationId = requestAnimationFrame(this.animate);
+    if (document.hidden) this.setSuspended('hidden', true);
 
-  // Calculate spacing that creates matching gaps
-  // Reduce spacing by the gap amount to create consistent borders
-  const gapOffset = cubeSize * cubieGapFraction;
+    // Build the solver tables while idle so the first Solve doesn't stall
+    const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 200));
+    whenIdle(() => {
+      if (!this.isDestroyed) prepareSolver();
+    });
 
-  // Horizontal spacing between cubes in the same row
-  const spacingX = projWidth - gapOffset * 0.65;
+    // Put the seed (and anything else not yet in the URL) in straight away
+    this.scheduleUrlUpdate();
+  }
 
-  // Horizontal shift per row (creates the staircase effect)
-  const shiftX = (topFaceWidth - gapOffset * 0.3) / 2;
+  // --- Shared geometry and materials ---
 
-  // Vertical spacing between rows
-  const spacingY = projHeight * 0.767 - gapOffset * 0.3;
+  getSharedGeometry(cubieSize, gap) {
+    if (!this.sharedGeometry) {
+      this.sharedGeometry = createCubieGeometry(this.settings.cubieStyle, cubieSize, gap);
+    }
+    return this.sharedGeometry;
+  }
 
-  // Calculate visible bounds based on camera frustum
-  const viewWidth = currentFrustumSize * aspect;
-  const viewHeight = currentFrustumSize;
+  getSharedMaterials(x, y, z) {
+    const key = `${x},${y},${z}`;
+    const colors = this.currentColors;
+    const order = this.settings.order;
+    if (!this.sharedMaterials[key]) {
+      const lit = this.settings.lighting;
+      if (this.settings.cubieStyle === 'sticker') {
+        // Faces without a sticker are bare plastic, and the body comes last (BODY_SLOT)
+        if (!this.bodyMaterial) this.bodyMaterial = createCubieMaterial(BODY_COLOR, lit);
+        const body = this.bodyMaterial;
+        this.sharedMaterials[key] = [
+          ...FACES.map((face, slot) => hasSticker(slot, x, y, z, order) ? createCubieMaterial(colors[face], lit) : body),
+          body
+        ];
+      } else {
+        this.sharedMaterials[key] = FACES.map((face, slot) =>
+          createCubieMaterial(hasSticker(slot, x, y, z, order) ? colors[face] : colors.internal, lit));
+      }
+    }
+    return this.sharedMaterials[key];
+  }
 
-  // Add padding to ensure cubes fully cover the screen
-  const padding = projWidth * 1.5;
+  // Material for mosaic stickers of one colour
+  getMosaicMaterial(color) {
+    if (!this.mosaicMaterials.has(color)) {
+      this.mosaicMaterials.set(color, createCubieMaterial(color, this.settings.lighting));
+    }
+    return this.mosaicMaterials.get(color);
+  }
 
-  // Calculate how many rows/cols we actually need (much more efficient than fixed -50 to 50)
-  const halfWidth = viewWidth / 2 + padding;
-  const halfHeight = viewHeight / 2 + padding;
+  clearSharedCache() {
+    if (this.sharedGeometry) {
+      this.sharedGeometry.dispose();
+      this.sharedGeometry = null;
+    }
+    // Sticker cubies share the body material between slots, so each is disposed once
+    new Set(Object.values(this.sharedMaterials).flat()).forEach(m => m.dispose());
+    this.sharedMaterials = {};
+    this.bodyMaterial = null;
+    this.mosaicMaterials.forEach(m => m.dispose());
+    this.mosaicMaterials.clear();
+  }
 
-  // Estimate rows and cols needed (add extra rows for staircase pattern coverage)
-  const rowsNeeded = Math.ceil(halfHeight / spacingY) + 4;
-  const colsNeeded = Math.ceil(halfWidth / spacingX) + 4;
+  // --- Instanced rendering ---
+
+  // One InstancedMesh for every cubie in the grid, each cube keeping a block of it
+  createInstances() {
+    // Room for half as many cubes again before a wider view needs a bigger batch
+    const blocks = Math.ceil(this.cubes.length * 1.5);
+    const material = createCubieMaterial(0xffffff, this.settings.lighting);
+    this.instances = new InstancedCubies(this.sharedGeometry, this.cubes[0].cubies.length, blocks, material);
+    this.cubes.forEach(cube => this.addCubeInstances(cube));
+    this.instanceColorsDirty = true;
+    this.scene.add(this.instances.mesh);
+  }
 
-  // With shared geometry/materials, we can handle many more cubes efficiently
-  // No hard cap - just rely on visibility culling
+  // Give a cube's cubies their slots in the batch - false if it's full
+  addCubeInstances(cube) {
+    const block = this.instances.allocate();
+    if (block < 0) return false;
+    const first = block * this.instances.blockSize;
+    cube.instanceBlock = block;
+    cube.cubies.forEach((cubie, i) => {
+      cubie.instance = first + i;
+    });
+    cube.needsInstanceUpdate = true;
+    cube.needsColorUpdate = true;
+    return true;
+  }
 
-  for (let row = -rowsNeeded; row <= rowsNeeded; row++) {
-    for (let col = -colsNeeded; col <= colsNeeded; col++) {
-      // Calculate position before creating cube
-      const posX = col * spacingX + row * shiftX;
-      const posY = -row * spacingY;
+  // Drop the batch (the grid is being rebuilt, or no longer instanced)
+  disposeInstances() {
+    if (!this.instances) return;
+    this.scene.remove(this.instances.mesh);
+    this.instances.dispose();
+    this.instances = null;
+  }
 
-      // Check if this cube would be visible (with padding for partial visibility)
-      if (posX < -halfWidth || posX > halfWidth ||
-          posY < -halfHeight || posY > halfHeight) {
-        continue; // Skip cubes outside visible area
+  // Copy the cubies' transforms and colours into the batch - only what has changed:
+  // a turning layer each frame, a whole cube after a move, every colour in a transition
+  updateInstances() {
+    const instances = this.instances;
+    const allColors = this.instanceColorsDirty;
+    this.instanceColorsDirty = false;
+
+    this.cubes.forEach(cube => {
+      if (cube.needsInstanceUpdate) {
+        cube.needsInstanceUpdate = false;
+        cube.group.updateMatrixWorld(true);
+        cube.cubies.forEach(cubie => instances.setMatrix(cubie.instance, cubie.mesh.matrixWorld));
+      } else if (cube.isAnimating) {
+        // Only the pivot turns - the cubies' local matrices are as they were when grabbed
+        const pivot = cube.animPivot;
+        pivot.updateMatrix();
+        pivot.matrixWorld.multiplyMatrices(cube.group.matrixWorld, pivot.matrix);
+        cube.animatingCubies.forEach(cubie => {
+          cubie.mesh.matrixWorld.multiplyMatrices(pivot.matrixWorld, cubie.mesh.matrix);
+          instances.setMatrix(cubie.instance, cubie.mesh.matrixWorld);
+        });
       }
 
-      const cube = new RubiksCube(cubeSize);
-
-      // Position: staircase pattern
-      cube.group.position.x = posX;
-      cube.group.position.y = posY;
-      cube.group.position.z = 0;
+      if (allColors || cube.needsColorUpdate) {
+        cube.needsColorUpdate = false;
+        cube.cubies.forEach(cubie => instances.setFaceColors(cubie.instance, cubie.mesh.material));
+      }
+    });
+  }
 
-      scene.add(cube.group);
-      cubes.push(cube);
-    }
+  /**
+   * What the last frame cost to draw
+   * @returns {Object} - { drawCalls, triangles, cubes, cubies, instanced }
+   */
+  getRenderInfo() {
+    const { calls, triangles } = this.renderer.info.render;
+    return {
+      drawCalls: calls,
+      triangles,
+      cubes: this.cubes.length,
+      cubies: this.cubes.reduce((sum, cube) => sum + cube.cubies.length, 0),
+      instanced: this.instances !== null
+    };
   }
 
-}
+  // --- Color transitions ---
 
-// animate function is defined at the end of the file with hover mode support
+  // Update all materials with interpolated colors
+  updateMaterialColors(t) {
+    const eased = easeInOutQuad(t);
+    const currentColors = this.currentColors;
+    const targetColors = this.targetColors;
 
-function updateCameraZoom() {
-  // Scale frustum based on grid size (default 6 = base size)
-  // Larger grids need more zoom out
-  currentFrustumSize = baseFrustumSize * (settings.gridSize / 6);
+    // Calculate interpolated colors
+    const interpolatedColors = {
+      right: lerpColor(currentColors.right, targetColors.right, eased),
+      left: lerpColor(currentColors.left, targetColors.left, eased),
+      top: lerpColor(currentColors.top, targetColors.top, eased),
+      bottom: lerpColor(currentColors.bottom, targetColors.bottom, eased),
+      front: lerpColor(currentColors.front, targetColors.front, eased),
+      back: lerpColor(currentColors.back, targetColors.back, eased),
+      internal: lerpColor(currentColors.internal, targetColors.internal, eased)
+    };
+    this.backdrop.set(lerpBackground(this.currentBackground, this.targetBackground, eased));
+
+    // Update all shared materials (only the stickers - sticker cubies' plastic keeps its colour)
+    this.instanceColorsDirty = true;
+    this.requestRender();
+    const order = this.settings.order;
+    Object.entries(this.sharedMaterials).forEach(([key, materials]) => {
+      const [x, y, z] = key.split(',').map(Number);
+      FACES.forEach((face, slot) => {
+        if (hasSticker(slot, x, y, z, order)) {
+          materials[slot].color.setHex(interpolatedColors[face]);
+        } else if (materials[slot] !== this.bodyMaterial) {
+          materials[slot].color.setHex(interpolatedColors.internal);
+        }
+      });
+    });
+  }
 
-  camera.left = -currentFrustumSize * aspect / 2;
-  camera.right = currentFrustumSize * aspect / 2;
-  camera.top = currentFrustumSize / 2;
-  camera.bottom = -currentFrustumSize / 2;
-  camera.updateProjectionMatrix();
-}
+  // Start a color transition to a new scheme
+  startColorTransition(newScheme) {
+    // Store current colors as starting point (use actual material colors if mid-transition)
+    if (this.colorTransitionProgress < 1) {
+      // We're mid-transition, so capture current interpolated state
+      const eased = easeInOutQuad(this.colorTransitionProgress);
+      const currentColors = this.currentColors;
+      const targetColors = this.targetColors;
+      this.currentColors = {
+        right: lerpColor(currentColors.right, targetColors.right, eased),
+        left: lerpColor(currentColors.left, targetColors.left, eased),
+        top: lerpColor(currentColors.top, targetColors.top, eased),
+        bottom: lerpColor(currentColors.bottom, targetColors.bottom, eased),
+        front: lerpColor(currentColors.front, targetColors.front, eased),
+        back: lerpColor(currentColors.back, targetColors.back, eased),
+        internal: lerpColor(currentColors.internal, targetColors.internal, eased)
+      };
+      this.currentBackground = lerpBackground(this.currentBackground, this.targetBackground, eased);
+    }
 
-function getContainerSize() {
-  if (!container) return { width: window.innerWidth, height: window.innerHeight };
-  return { width: container.clientWidth, height: container.clientHeight };
-}
+    this.targetColors = COLOR_SCHEMES[newScheme];
+    this.targetBackground = this.backgroundFor(newScheme);
+    if (this.targetBackground.alpha === 0) {
+      // Fading out, so keep the colours rather than passing through black
+      this.targetBackground = { ...this.currentBackground, alpha: 0 };
+    }
+    this.colorTransitionProgress = 0;
+    this.colorTransitionStartTime = null;
+  }
 
-function onResize() {
-  if (!isInitialized) return;
-  const size = getContainerSize();
-  aspect = size.width / size.height;
-  updateCameraZoom();
-  renderer.setSize(size.width, size.height);
-  createGrid();
-}
+  // Background to show with a scheme: the background setting, or else the scheme's own
+  backgroundFor(scheme) {
+    const background = this.settings.background ?? COLOR_SCHEMES[scheme].background ?? DEFAULT_BACKGROUND;
+    return parseBackground(background);
+  }
 
-// Listen for settings changes from controller widget
-window.addEventListener('rubiks-settings', (e) => {
-  const { type, value } = e.detail;
-
-  switch (type) {
-    case 'speed':
-      settings.speed = value;
-      break;
-
-    case 'grid':
-      settings.gridSize = value;
-      createGrid(); // Rebuild grid with new size
-      break;
-
-    case 'sync':
-      settings.sync = value;
-      if (value) {
-        // When enabling sync, schedule the next move immediately
-        syncNextMoveTime = performance.now();
-      }
-      break;
-
-    case 'playback':
-      settings.playback = value;
-      if (value === 'play') {
-        // Disable hover mode when playing
-        settings.hoverMode = false;
-        // Reset timing so moves start fresh
-        const now = performance.now();
-        cubes.forEach(cube => {
-          cube.lastMoveTime = now;
-          // Reset animation start time if paused mid-animation
-          if (cube.isAnimating && cube.animStartTime) {
-            // Adjust start time to account for pause duration
-            const elapsed = cube.animProgress * (cube.currentAnimDuration / settings.speed);
-            cube.animStartTime = now - elapsed;
-          }
-        });
-        syncNextMoveTime = now;
+  // --- Grid layout ---
+
+  // Perfect isometric tiling using exact mathematical derivation
+  //
+  // For a cube rotated 30° around X then -45° around Y:
+  // The visible shape has a specific width and height in screen space.
+  //
+  // Key insight: We only need to know how far apart to place cubes so their
+  // edges exactly touch (no gaps, no overlap).
+  createGrid() {
+    // Update camera zoom for new grid size
+    this.updateCameraZoom();
+
+    // Remove old cubes from scene
+    this.cubes.forEach(c => {
+      this.scene.remove(c.group);
+    });
+    this.cubes.length = 0;
+    this.cubesByCell.clear();
+    this.disposeInstances();
+    this.pendingSolves = [];
+    this.solveRequested = false;
+    this.drag = null;
+    this.random = createRandom(hashSeed(this.settings.seed, 'grid'));
+
+    // Clear shared cache (geometry and materials) so they get recreated with current colors
+    this.clearSharedCache();
+
+    this.updateLayout();
+    this.getVisibleCells().forEach(({ row, col, x, y }) => this.addCube(row, col, x, y));
+
+    if (this.settings.instanced && this.cubes.length > 0) {
+      this.createInstances();
+    }
+
+    // Fresh cubes start solved, so they show the whole picture
+    this.mosaicScrambling = false;
+    if (this.mosaic) {
+      this.applyMosaic();
+    }
+
+    // Wave delays are per cube, so start the beats again
+    this.resetWaves();
+
+    // A choreography picks its cubes by position, so work it out again for the new ones
+    if (this.choreography) {
+      try {
+        this.planChoreography();
+        this.seekChoreography(this.choreography.time);
+      } catch (err) {
+        console.warn(err.message);
+        this.choreography = null;
       }
-      break;
-
-    case 'colorScheme':
-      settings.colorScheme = value;
-      // Smooth transition to new colors (retains cube positions)
-      startColorTransition(value);
-      break;
-
-    case 'solve':
-      // Trigger solve animation on all cubes
-      // Set playback to stop so cubes stay solved after
-      settings.playback = 'stop';
-      cubes.forEach(cube => cube.startSolve());
-      break;
-
-    case 'delay':
-      settings.delay = value;
-      // Update sync timing to use new delay
-      if (settings.sync && syncNextMoveTime > 0) {
-        const allDone = cubes.every(c => !c.isAnimating && !c.isSolving);
-        if (allDone) {
-          // If not animating, apply new delay from now
-          syncNextMoveTime = performance.now() + value;
+    }
+
+    this.focusedCube = null;
+    if (this.focusOutline) this.scene.remove(this.focusOutline);
+    if (this.settings.keyboardMode) {
+      this.setFocusedCube(this.findCube(this.focus.row, this.focus.col));
+    }
+
+    this.emit('gridRebuilt', { cubes: this.cubes.length });
+  }
+
+  // Spacing of the staircase lattice the cubes sit on, for the way they're turned now
+  updateLayout() {
+    this.layout = latticeFor(this.viewAngles, cubeSize);
+  }
+
+  // Lattice cells that need a cube to cover the current view: [{ row, col, x, y }]
+  getVisibleCells() {
+    const layout = this.layout;
+    const { spacingX, shiftX } = layout;
+    const center = this.viewCenter;
+
+    // Calculate visible bounds based on camera frustum
+    const viewWidth = this.currentFrustumSize * this.aspect;
+    const viewHeight = this.currentFrustumSize;
+
+    // Add padding to ensure cubes fully cover the screen
+    const padding = cubeSize * 2;
+    const halfWidth = viewWidth / 2 + padding;
+    const halfHeight = viewHeight / 2 + padding;
+
+    // Rows that reach the view (they slope when riseY isn't 0, so check every corner)
+    const cornerRows = [[-1, -1], [-1, 1], [1, -1], [1, 1]].map(([sx, sy]) =>
+      latticeCoords(center.x + sx * halfWidth, center.y + sy * halfHeight, layout).row);
+    const firstRow = Math.floor(Math.min(...cornerRows));
+    const lastRow = Math.ceil(Math.max(...cornerRows));
+
+    // With shared geometry/materials, we can handle many more cubes efficiently
+    // No hard cap - just rely on visibility culling
+    const cells = [];
+    for (let row = firstRow; row <= lastRow; row++) {
+      // Columns across the view's width in this row
+      const firstCol = Math.floor((center.x - halfWidth - row * shiftX) / spacingX);
+      const lastCol = Math.ceil((center.x + halfWidth - row * shiftX) / spacingX);
+      for (let col = firstCol; col <= lastCol; col++) {
+        // Calculate position before creating cube
+        const { x, y } = latticePosition(row, col, layout);
+
+        // Check if this cube would be visible (with padding for partial visibility)
+        if (Math.abs(x - center.x) > halfWidth || Math.abs(y - center.y) > halfHeight) {
+          continue; // Skip cubes outside visible area
         }
+        cells.push({ row, col, x, y });
+      }
+    }
+    return cells;
+  }
+
+  // Create a solved cube at a lattice cell
+  addCube(row, col, x, y) {
+    const cube = new RubiksCube(cubeSize, this, row, col);
+
+    // Position: staircase pattern
+    cube.group.position.set(x, y, 0);
+
+    // Instanced grids draw the cubies from the batch (see createInstances) instead
+    if (!this.settings.instanced) {
+      this.scene.add(cube.group);
+    }
+    this.cubes.push(cube);
+    this.cubesByCell.set(`${row},${col}`, cube);
+    return cube;
+  }
+
+  /**
+   * Cover the view after a resize, zoom or pan without starting again (a virtualised
+   * grid): cubes still in view carry on as they were, cubes that have left it are
+   * retired and only cubes coming into view are created - see joinGrid() for how they
+   * fall in with the rest.
+   */
+  reflowGrid() {
+    this.updateCameraZoom();
+    const cells = this.getVisibleCells();
+    const wanted = new Set(cells.map(({ row, col }) => `${row},${col}`));
+
+    const kept = [];
+    this.cubes.forEach(cube => {
+      if (wanted.has(`${cube.row},${cube.col}`)) {
+        kept.push(cube);
+        return;
+      }
+      this.scene.remove(cube.group);
+      this.cubesByCell.delete(`${cube.row},${cube.col}`);
+      if (this.instances) this.instances.release(cube.instanceBlock);
+    });
+    const retired = this.cubes.length - kept.length;
+    this.cubes.length = 0;
+    this.cubes.push(...kept);
+
+    const added = [];
+    cells.forEach(({ row, col, x, y }) => {
+      if (!this.cubesByCell.has(`${row},${col}`)) added.push(this.addCube(row, col, x, y));
+    });
+    if (retired === 0 && added.length === 0) return;
+
+    // Forget anything that points at a retired cube
+    if (retired > 0) {
+      this.pendingSolves = this.pendingSolves.filter(cube => this.cubesByCell.get(`${cube.row},${cube.col}`) === cube);
+      if (this.drag && !kept.includes(this.drag.cube)) this.drag = null;
+      if (this.hoveredCube && !kept.includes(this.hoveredCube)) this.hoveredCube = null;
+      if (this.focusedCube && !kept.includes(this.focusedCube)) {
+        this.setFocusedCube(this.findCube(this.focus.row, this.focus.col));
+      }
+    }
+
+    // Newcomers take the blocks retired cubes gave back - a full batch starts again bigger
+    if (this.settings.instanced && this.cubes.length > 0) {
+      if (!this.instances || !added.every(cube => this.addCubeInstances(cube))) {
+        this.disposeInstances();
+        this.createInstances();
       }
-      break;
+    }
+
+    this.joinGrid(added);
+  }
+
+  /**
+   * Bring cubes that have just come into view in step with the rest of the grid
+   * - Waves: they move from the next beat
+   * - Loop mode: they start a palindrome of their own
+   * - Choreography: they get the moves the script gives their place, and catch up
+   * - Picture: they're painted with their piece of it (or the scheme outside it)
+   * - Otherwise, when the grid is scrambled, they start settings.reflowScramble random
+   *   moves from solved so they blend in; solved or solving grids stay that way
+   * @param {Array<RubiksCube>} cubes - Fresh solved cubes, already in this.cubes
+   */
+  joinGrid(cubes) {
+    if (cubes.length === 0) return;
+    const settings = this.settings;
+
+    cubes.forEach(cube => {
+      cube.nextWave = this.waveNumber;
+    });
+
+    if (this.mosaic) {
+      this.applyMosaic(cubes);
+    }
+
+    if (this.choreography) {
+      this.planChoreography(cubes);
+      cubes.forEach(cube => this.seekChoreographyCube(cube, this.choreography.time));
+    } else if (settings.loop) {
+      cubes.forEach(cube => cube.precomputeLoopSequence(LOOP_MOVE_COUNT));
+    } else if (!this.mosaic && settings.reflowScramble > 0 && this.pendingSolves.length === 0 &&
+      this.cubes.some(c => !c.isSolving && !c.isSolved())) {
+      cubes.forEach(cube => cube.scramble(settings.reflowScramble));
+    }
+  }
+
+  // Point the camera at the current view (see updateView)
+  updateCameraZoom() {
+    const fov = this.viewAngles.fov;
+    let camera;
+    if (fov < MIN_PERSPECTIVE_FOV) {
+      camera = this.orthoCamera;
+      camera.left = -this.currentFrustumSize * this.aspect / 2;
+      camera.right = this.currentFrustumSize * this.aspect / 2;
+      camera.top = this.currentFrustumSize / 2;
+      camera.bottom = -this.currentFrustumSize / 2;
+      camera.position.set(this.viewCenter.x, this.viewCenter.y, 10);
+    } else {
+      // Far enough back for the grid's plane (z = 0) to fill the view just as the
+      // orthographic camera's would, and only as deep as the cubes
+      camera = this.perspectiveCamera;
+      const distance = this.currentFrustumSize / 2 / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+      camera.fov = fov;
+      camera.aspect = this.aspect;
+      camera.near = Math.max(0.1, distance - cubeSize * 2);
+      camera.far = distance + cubeSize * 2;
+      camera.position.set(this.viewCenter.x, this.viewCenter.y, distance);
+    }
+    this.camera = camera;
+    camera.updateProjectionMatrix();
+    // Picking between frames needs the moved camera, not the one last rendered
+    camera.updateMatrixWorld();
+    this.requestRender();
+  }
+
+  // --- Zoom and pan ---
+
+  /**
+   * Zoom to a grid size, easing there, with one point of the view staying put
+   * @param {number} gridSize - Rows and columns across the view (clamped to 2 - 16)
+   * @param {number} ndcX - The point to keep still in normalised device coordinates (default: the middle)
+   * @param {number} ndcY
+   * @param {boolean} immediate - Jump there instead (pinches follow the fingers)
+   */
+  zoomTo(gridSize, ndcX = 0, ndcY = 0, immediate = false) {
+    const target = this.viewTarget;
+    const clamped = Math.min(MAX_GRID_SIZE, Math.max(MIN_GRID_SIZE, gridSize));
+    const size = frustumSizeFor(clamped);
+    // The point is ndc half-views from the middle both before and after
+    target.x += ndcX * this.aspect * (target.size - size) / 2;
+    target.y += ndcY * (target.size - size) / 2;
+    target.size = size;
+    this.settings.gridSize = Math.round(clamped * 100) / 100;
+    if (immediate) this.snapView();
+    this.scheduleUrlUpdate();
+  }
+
+  // Zoom by a factor of the grid size the view is heading for (over 1 zooms out)
+  zoomBy(factor, ndcX = 0, ndcY = 0, immediate = false) {
+    const gridSize = this.viewTarget.size / frustumSizeFor(1);
+    this.zoomTo(gridSize * factor, ndcX, ndcY, immediate);
+  }
+
+  // Move the view by a distance in world units, straight away (it follows the pointer)
+  panBy(dx, dy) {
+    this.viewTarget.x += dx;
+    this.viewTarget.y += dy;
+    this.viewCenter.x += dx;
+    this.viewCenter.y += dy;
+    this.viewMoved = true;
+  }
+
+  // Jump the view to where it's heading
+  snapView() {
+    this.viewCenter.set(this.viewTarget.x, this.viewTarget.y);
+    this.currentFrustumSize = this.viewTarget.size;
+    this.viewMoved = true;
+  }
+
+  // Where the view is now, in world units: { x, y } of its middle, width and height
+  getViewFrame() {
+    return {
+      x: this.viewCenter.x,
+      y: this.viewCenter.y,
+      width: this.currentFrustumSize * this.aspect,
+      height: this.currentFrustumSize
+    };
+  }
+
+  // Ease the view towards its target, covering it with cubes wherever it has got to
+  updateView(currentTime) {
+    if (this.projectionTransition) {
+      this.updateProjection(currentTime);
+    }
+
+    const target = this.viewTarget;
+    const center = this.viewCenter;
+    const elapsed = this.viewTime === null ? 0 : Math.max(0, currentTime - this.viewTime);
+    this.viewTime = currentTime;
+
+    if (target.size !== this.currentFrustumSize || target.x !== center.x || target.y !== center.y) {
+      // Exponential easing, the same whatever the frame rate
+      const t = 1 - Math.exp(-elapsed / VIEW_EASE_TIME);
+      this.currentFrustumSize += (target.size - this.currentFrustumSize) * t;
+      center.x += (target.x - center.x) * t;
+      center.y += (target.y - center.y) * t;
+      // Close enough not to see the difference
+      const rest = Math.max(Math.abs(target.size - this.currentFrustumSize),
+        Math.abs(target.x - center.x), Math.abs(target.y - center.y));
+      if (rest < target.size * 1e-4) this.snapView();
+      this.viewMoved = true;
+    }
+
+    if (this.viewMoved) {
+      this.viewMoved = false;
+      this.reflowGrid();
+    }
+  }
+
+  // --- Projections ---
+
+  // Switch to a projection, animating there (see updateProjection) unless immediate
+  setProjection(name, immediate = false) {
+    const to = PROJECTIONS[name];
+    this.settings.projection = name;
+    if (immediate) {
+      this.projectionTransition = null;
+      this.setViewAngles({ ...to });
+      this.projectionFinished();
+      return;
+    }
+    // From wherever the view is now, even part way through another switch
+    this.projectionTransition = { from: { ...this.viewAngles }, to, start: null };
+    this.requestRender();
+  }
+
+  // Step a projection switch: every cube turns, the lattice moves under them and the
+  // camera's field of view changes (widening from next to nothing, so the picture doesn't
+  // jump when the perspective camera takes over from the orthographic one)
+  updateProjection(currentTime) {
+    const transition = this.projectionTransition;
+    if (transition.start === null) transition.start = currentTime;
+    const t = Math.min(1, (currentTime - transition.start) / PROJECTION_TRANSITION_TIME);
+    const eased = easeInOutQuad(t);
+    const { from, to } = transition;
+    // The orthographic end of a switch to or from perspective is the narrowest perspective
+    const fromFov = from.fov || (to.fov ? MIN_PERSPECTIVE_FOV : 0);
+    const toFov = to.fov || (from.fov ? MIN_PERSPECTIVE_FOV : 0);
+    this.setViewAngles({
+      x: from.x + (to.x - from.x) * eased,
+      y: from.y + (to.y - from.y) * eased,
+      fov: t === 1 ? to.fov : fromFov + (toFov - fromFov) * eased
+    });
+    if (t === 1) {
+      this.projectionTransition = null;
+      this.projectionFinished();
+    }
+  }
+
+  // Turn every cube to some angles and lay them out on the lattice for them, keeping the
+  // middle of the view on the same spot of the lattice (so on the same cube)
+  setViewAngles(angles) {
+    const center = latticeCoords(this.viewCenter.x, this.viewCenter.y, this.layout);
+    const target = latticeCoords(this.viewTarget.x, this.viewTarget.y, this.layout);
+    this.viewAngles = angles;
+    this.updateLayout();
+    const layout = this.layout;
+    const newCenter = latticePosition(center.row, center.col, layout);
+    const newTarget = latticePosition(target.row, target.col, layout);
+    this.viewCenter.set(newCenter.x, newCenter.y);
+    this.viewTarget.x = newTarget.x;
+    this.viewTarget.y = newTarget.y;
+
+    this.cubes.forEach(cube => {
+      const { x, y } = latticePosition(cube.row, cube.col, layout);
+      cube.group.position.set(x, y, 0);
+      cube.group.rotation.set(angles.x, angles.y, 0);
+      cube.needsInstanceUpdate = true;
+    });
+    if (this.focusedCube) {
+      this.focusOutline.position.copy(this.focusedCube.group.position);
+      this.focusOutline.quaternion.copy(this.focusedCube.group.quaternion);
+    }
+    // Cover the view again (and move the camera) - see updateView
+    this.viewMoved = true;
+    this.requestRender();
+  }
+
+  // Once a switch is over: a picture is painted again for the faces that now face the
+  // camera, if the cubes still show it (solved)
+  projectionFinished() {
+    if (this.mosaic && !this.mosaicScrambling && this.cubes.every(c => !c.isAnimating && c.isSolved())) {
+      this.applyMosaic();
+    }
+  }
+
+  // Wheel zooms around the cursor
+  onWheel(event) {
+    if (!this.settings.panZoom) return;
+    event.preventDefault();
+    // Lines and pages into pixels; trackpad pinches arrive as ctrl+wheel with small deltas
+    const pixels = event.deltaY * (event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? 400 : 1);
+    this.setPointer(event.clientX, event.clientY);
+    this.zoomBy(Math.exp(pixels * (event.ctrlKey ? 0.01 : 0.0015)), this.pointer.x, this.pointer.y);
+  }
 
-    case 'hoverMode':
-      settings.hoverMode = value;
-      if (value) {
-        // When enabling hover mode, stop auto playback
+  // Pan with one pointer, or pinch with two (zooming around and panning with the
+  // point between them) - a pointer turning a layer is left to that
+  onGestureMove(event) {
+    const pointers = this.gesturePointers;
+    const last = pointers.get(event.pointerId);
+    const now = { x: event.clientX, y: event.clientY };
+    pointers.set(event.pointerId, now);
+    if (this.drag && this.drag.pointerId === event.pointerId) return;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const unitsPerPixel = this.currentFrustumSize / rect.height;
+    if (pointers.size === 1) {
+      this.panBy((last.x - now.x) * unitsPerPixel, (now.y - last.y) * unitsPerPixel);
+      return;
+    }
+
+    // The first two pointers down make the pinch
+    const [first, second] = pointers.keys();
+    if (event.pointerId !== first && event.pointerId !== second) return;
+    const other = pointers.get(event.pointerId === first ? second : first);
+    this.panBy((last.x - now.x) / 2 * unitsPerPixel, (now.y - last.y) / 2 * unitsPerPixel);
+    const before = Math.hypot(last.x - other.x, last.y - other.y);
+    const after = Math.hypot(now.x - other.x, now.y - other.y);
+    if (before > 0 && after > 0) {
+      this.setPointer((now.x + other.x) / 2, (now.y + other.y) / 2);
+      this.zoomBy(before / after, this.pointer.x, this.pointer.y, true);
+    }
+  }
+
+  getContainerSize() {
+    if (!this.container) return { width: window.innerWidth, height: window.innerHeight };
+    return { width: this.container.clientWidth, height: this.container.clientHeight };
+  }
+
+  onResize() {
+    if (this.isDestroyed || this.isExporting) return;
+    const size = this.getContainerSize();
+    this.aspect = size.width / size.height;
+    this.renderer.setSize(size.width, size.height);
+    this.reflowGrid();
+  }
+
+  // --- Settings ---
+
+  // Listen for settings changes from controller widget
+  onSettingsEvent(e) {
+    const { type, value } = e.detail;
+    this.applySetting(type, value);
+  }
+
+  // Apply several settings at once, keyed like the settings object
+  setSettings(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      this.applySetting(SETTING_EVENT_TYPES[key] || key, value);
+    });
+  }
+
+  applySetting(type, value) {
+    const settings = this.settings;
+    const cubes = this.cubes;
+
+    switch (type) {
+      case 'speed':
+        settings.speed = value;
+        break;
+
+      case 'grid':
+        // Eases there, with cubes coming into view (or retiring) on the way
+        this.zoomTo(value);
+        break;
+
+      case 'panZoom':
+        settings.panZoom = value;
+        this.gesturePointers.clear();
+        this.updateTouchAction();
+        break;
+
+      case 'order':
+        settings.order = clampOrder(value);
+        this.rebuildCubes();
+        break;
+
+      case 'seed':
+        // Fresh solved cubes so the new seed plays from the start
+        settings.seed = value === null || value === undefined ? randomSeed() : value;
+        this.rebuildCubes();
+        break;
+
+      case 'wave':
+        if (!WAVE_MODES.includes(value)) {
+          console.warn(`Unknown wave mode "${value}"`);
+          break;
+        }
+        settings.wave = value;
+        this.resetWaves();
+        break;
+
+      case 'waveSpeed':
+      case 'waveDirection':
+      case 'waveOrigin':
+        // Waves already under way keep their timing, the next beat uses the new one
+        settings[type] = value;
+        break;
+
+      case 'sync':
+        settings.sync = value;
+        if (value) {
+          // When enabling sync, schedule the next move immediately
+          this.syncNextMoveTime = performance.now();
+        }
+        break;
+
+      case 'playback':
+        settings.playback = value;
+        if (value === 'stop') {
+          this.stopChoreography();
+        }
+        if (value === 'play') {
+          // Disable hover mode when playing
+          settings.hoverMode = false;
+          // Reset timing so moves start fresh
+          const now = performance.now();
+          cubes.forEach(cube => {
+            cube.lastMoveTime = now;
+            // Reset animation start time if paused mid-animation
+            if (cube.isAnimating && cube.animStartTime) {
+              // Adjust start time to account for pause duration
+              const elapsed = cube.animProgress * (cube.currentAnimDuration / settings.speed);
+              cube.animStartTime = now - elapsed;
+            }
+          });
+          this.syncNextMoveTime = now;
+        }
+        break;
+
+      case 'colorScheme':
+        if (!COLOR_SCHEMES[value]) {
+          console.warn(`Unknown colour scheme "${value}" - register it with registerColorScheme() first`);
+          break;
+        }
+        settings.colorScheme = value;
+        // Smooth transition to new colors (retains cube positions)
+        this.startColorTransition(value);
+        break;
+
+      case 'background':
+        if (value !== null && !parseBackground(value)) {
+          console.warn(`Unknown background "${value}" - use a colour, "linear-gradient(top, bottom)" or "transparent"`);
+          break;
+        }
+        settings.background = value;
+        // Fades like a scheme change (to the same scheme)
+        this.startColorTransition(settings.colorScheme);
+        break;
+
+      case 'palette':
+        // Live palette editing: (re)register the custom scheme and fade to it
+        try {
+          registerColorScheme(CUSTOM_SCHEME, value);
+        } catch (err) {
+          console.warn(err.message);
+          break;
+        }
+        this.applySetting('colorScheme', CUSTOM_SCHEME);
+        break;
+
+      case 'solve':
+        this.stopChoreography();
+        // Trigger solve animation on all cubes
+        // Set playback to stop so cubes stay solved after
         settings.playback = 'stop';
+        // Solutions are computed a few cubes per frame (see animate)
+        this.pendingSolves = cubes.slice();
+        this.solveRequested = true;
+        break;
+
+      case 'maxFps':
+        settings.maxFps = value;
+        this.lastFrameTime = null;
+        break;
+
+      case 'sound':
+        settings.sound = value;
+        this.updateAudio();
+        break;
+
+      case 'soundVolume':
+        settings.soundVolume = value;
+        if (this.audio) this.audio.setVolume(value);
+        break;
+
+      case 'projection':
+        if (!PROJECTIONS[value]) {
+          console.warn(`Unknown projection "${value}"`);
+          break;
+        }
+        this.setProjection(value);
+        break;
+
+      case 'reflowScramble':
+        // Used the next time cubes come into view
+        settings.reflowScramble = value;
+        break;
+
+      case 'instanced':
+        settings.instanced = value;
+        // Cubes are added to the scene one way or the other when they're built
+        this.createGrid();
+        break;
+
+      case 'cubieStyle':
+        if (!CUBIE_STYLES.includes(value)) {
+          console.warn(`Unknown cubie style "${value}"`);
+          break;
+        }
+        settings.cubieStyle = value;
+        // New geometry and materials for every cubie
+        this.createGrid();
+        break;
+
+      case 'lighting':
+        settings.lighting = value;
+        // Lit and unlit materials are different kinds, so they're all made again
+        this.createGrid();
+        break;
+
+      case 'sliceMoveChance':
+      case 'wideMoveChance':
+        // Picked up by the next random move (loop sequences keep their moves until rebuilt)
+        settings[type] = value;
+        break;
+
+      case 'delay':
+        settings.delay = value;
+        // Update sync timing to use new delay
+        if (settings.sync && this.syncNextMoveTime > 0) {
+          const allDone = cubes.every(c => !c.isAnimating && !c.isSolving);
+          if (allDone) {
+            // If not animating, apply new delay from now
+            this.syncNextMoveTime = performance.now() + value;
+          }
+        }
+        break;
+
+      case 'hoverMode':
+        settings.hoverMode = value;
+        if (value) {
+          // When enabling hover mode, stop auto playback
+          settings.playback = 'stop';
+          settings.dragMode = false;
+          this.endDrag();
+          this.updateTouchAction();
+        }
+        break;
+
+      case 'keyboardMode':
+        settings.keyboardMode = value;
+        if (value) {
+          // Typed moves would break the loop palindromes
+          if (settings.loop) this.applySetting('loop', false);
+          this.setFocusedCube(this.findCube(this.focus.row, this.focus.col));
+        } else {
+          this.setFocusedCube(null);
+        }
+        break;
+
+      case 'keyLayout':
+        if (!KEY_LAYOUTS.includes(value)) {
+          console.warn(`Unknown key layout "${value}"`);
+          break;
+        }
+        settings.keyLayout = value;
+        this.typer.flush();
+        break;
+
+      case 'dragMode':
+        settings.dragMode = value;
+        if (value) {
+          // Hand-turned layers would spoil hover moves and loop palindromes
+          settings.hoverMode = false;
+          if (settings.loop) this.applySetting('loop', false);
+        } else {
+          this.endDrag();
+        }
+        this.updateTouchAction();
+        break;
+
+      case 'loop':
+        settings.loop = value;
+        if (value) {
+          this.choreography = null;
+          // Rebuild grid to get fresh solved cubes
+          this.createGrid();
+
+          // Pre-compute palindrome sequences for each cube
+          this.cubes.forEach(cube => {
+            cube.precomputeLoopSequence(LOOP_MOVE_COUNT);
+            cube.lastMoveTime = performance.now();
+            cube.delay = 0;
+          });
+
+          settings.playback = 'play';
+          settings.hoverMode = false;
+          settings.dragMode = false;
+          settings.keyboardMode = false;
+          this.endDrag();
+          this.updateTouchAction();
+          this.setFocusedCube(null);
+          this.loopStartTime = performance.now();
+        } else {
+          this.loopStartTime = -1;
+          // Clear loop sequences
+          cubes.forEach(cube => {
+            cube.loopSequence = null;
+            cube.loopIndex = 0;
+            cube.loopCompleting = false;
+          });
+        }
+        break;
+    }
+
+    this.requestRender();
+    this.scheduleUrlUpdate();
+  }
+
+  // Register the custom scheme a shared link carries (before any colours are picked)
+  restoreUrlPalette() {
+    const palette = readUrlPalette(window.location.hash);
+    const scheme = this.settings.colorScheme;
+    if (!palette || BUILT_IN_SCHEMES.includes(scheme)) return;
+    try {
+      registerColorScheme(scheme, palette);
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+
+  // Keep the URL hash in step with the settings - batched, since browsers rate-limit replaceState
+  scheduleUrlUpdate() {
+    if (!this.syncUrl || this.urlUpdateTimer) return;
+    this.urlUpdateTimer = setTimeout(() => {
+      this.urlUpdateTimer = null;
+      if (this.isDestroyed) return;
+      // Custom schemes only exist on this page, so their colours go in the link too
+      const scheme = this.settings.colorScheme;
+      const palette = BUILT_IN_SCHEMES.includes(scheme) ? null : getColorScheme(scheme);
+      const hash = writeUrlSettings(this.settings, this.defaults, palette);
+      const { pathname, search } = window.location;
+      history.replaceState(history.state, '', `${pathname}${search}${hash ? `#${hash}` : ''}`);
+    }, 250);
+  }
+
+  // Replace every cube with a fresh solved one (loop mode rebuilds and re-plans its own)
+  rebuildCubes() {
+    if (this.settings.loop) {
+      this.applySetting('loop', true);
+    } else {
+      this.createGrid();
+    }
+  }
+
+  // --- Drag mode ---
+
+  // Touch drags turn layers or pan instead of scrolling the page while drag mode or pan and zoom is on
+  updateTouchAction() {
+    const { dragMode, panZoom } = this.settings;
+    this.renderer.domElement.style.touchAction = dragMode || panZoom ? 'none' : '';
+  }
+
+  // Pointer position in normalised device coordinates (-1 to 1), relative to the canvas
+  setPointer(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  // Cubie under the pointer, the face it was hit on and the hit point (both in cube space)
+  pickCubie(clientX, clientY) {
+    // Find the cube from the lattice, then only raycast its own cubies
+    const picked = this.getCubeAt(clientX, clientY);
+    if (!picked) return null;
+    const hit = this.raycaster.intersectObject(picked.group, true)
+      .find(h => h.object.userData.cube);
+    if (!hit || !hit.face) return null;
+
+    const { cube, cubie } = hit.object.userData;
+    // The face normal is in the cubie's own space - turn it into cube space (via
+    // world space, in case the cubie is mid-turn inside the pivot)
+    const groupRotation = cube.group.getWorldQuaternion(new THREE.Quaternion()).invert();
+    const faceNormal = hit.face.normal.clone()
+      .transformDirection(hit.object.matrixWorld)
+      .applyQuaternion(groupRotation);
+    // Snap to the nearest axis (sticker cubies' bevels slope between two faces)
+    const axis = AXES.reduce((best, a) => Math.abs(faceNormal[a]) > Math.abs(faceNormal[best]) ? a : best);
+    const normal = new THREE.Vector3();
+    normal[axis] = Math.sign(faceNormal[axis]);
+    const point = cube.group.worldToLocal(hit.point.clone());
+    return { cube, cubie, normal, point };
+  }
+
+  // Pixel position (relative to the canvas) of a point in a cube's local space
+  toCanvasPixels(cube, point) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const ndc = cube.group.localToWorld(point.clone()).project(this.camera);
+    return new THREE.Vector2((ndc.x + 1) / 2 * rect.width, (1 - ndc.y) / 2 * rect.height);
+  }
+
+  // On-screen direction (pixels per radian) the grabbed point moves when its layer
+  // turns around an axis
+  getScreenTangent(cube, point, axis) {
+    const step = 0.01;
+    const axisVector = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+    const moved = point.clone().applyAxisAngle(axisVector, step);
+    return this.toCanvasPixels(cube, moved).sub(this.toCanvasPixels(cube, point)).divideScalar(step);
+  }
+
+  onPointerDown(event) {
+    const { dragMode, keyboardMode, panZoom } = this.settings;
+
+    // Pans and pinches follow every pointer down on the canvas (see onGestureMove)
+    if (panZoom && event.button <= 1) {
+      this.gesturePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (this.gesturePointers.size > 1) {
+        // A second finger turns a layer drag into a pinch
+        this.endDrag();
+        return;
       }
-      break;
-
-    case 'loop':
-      settings.loop = value;
-      if (value) {
-        // Rebuild grid to get fresh solved cubes
-        createGrid();
-
-        // Fixed 10 forward moves — palindrome gives exactly 22 moves per cycle
-        // (10 forward + bridge + 10 reverse + bridge)
-        // The loop duration is determined purely by animation speed and delay settings
-        const moveCount = 10;
-
-        // Pre-compute palindrome sequences for each cube
-        cubes.forEach(cube => {
-          cube.precomputeLoopSequence(moveCount);
-          cube.lastMoveTime = performance.now();
-          cube.delay = 0;
-        });
+      // The middle button always pans
+      if (event.button === 1) {
+        event.preventDefault();
+        return;
+      }
+    }
+
+    if ((!dragMode && !keyboardMode) || this.drag || event.button > 0) return;
+
+    // In keyboard mode a click also picks the cube to type at
+    if (keyboardMode) {
+      const cube = this.getCubeAt(event.clientX, event.clientY);
+      if (cube) this.setFocusedCube(cube);
+    }
+    if (!dragMode) return;
+
+    const picked = this.pickCubie(event.clientX, event.clientY);
+    if (!picked || picked.cube.isSolving) return;
+
+    event.preventDefault();
+    this.drag = {
+      ...picked,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      tangent: null // Chosen once the pointer has moved far enough to tell the direction
+    };
+  }
 
-        settings.playback = 'play';
-        settings.hoverMode = false;
-        loopStartTime = performance.now();
+  onPointerMove(event) {
+    if (this.gesturePointers.has(event.pointerId)) {
+      this.onGestureMove(event);
+    }
+
+    const drag = this.drag;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    const dx = event.clientX - drag.startX;
+    const dy = event.clientY - drag.startY;
+
+    if (!drag.tangent) {
+      // Wait for a few pixels of movement before committing to a layer
+      if (Math.hypot(dx, dy) < 6) return;
+
+      // Of the two axes lying in the grabbed face, turn around the one whose
+      // motion best matches the drag
+      const length = Math.hypot(dx, dy);
+      let best = null;
+      AXES.forEach(axis => {
+        if (drag.normal[axis] !== 0) return;
+        const tangent = this.getScreenTangent(drag.cube, drag.point, axis);
+        const match = Math.abs(tangent.x * dx + tangent.y * dy) / (tangent.length() * length);
+        if (!best || match > best.match) best = { axis, tangent, match };
+      });
+
+      drag.tangent = best.tangent;
+      drag.cube.beginDrag(best.axis, drag.cubie.state.position[best.axis]);
+    }
+
+    // Angle that keeps the grabbed point under the pointer (along the turn direction)
+    const tangent = drag.tangent;
+    drag.cube.setDragAngle((dx * tangent.x + dy * tangent.y) / tangent.lengthSq());
+  }
+
+  onPointerUp(event) {
+    this.gesturePointers.delete(event.pointerId);
+    if (!this.drag || event.pointerId !== this.drag.pointerId) return;
+    this.endDrag();
+  }
+
+  // Release the layer being dragged, if any (it snaps to the nearest quarter turn)
+  endDrag() {
+    if (!this.drag) return;
+    this.drag.cube.endDrag();
+    this.drag = null;
+  }
+
+  // --- Waves ---
+
+  // Forget the beats under way (the next tick starts a fresh one)
+  resetWaves() {
+    this.waves = [];
+    this.waveNumber = 0;
+    this.waveNextTime = -1;
+    this.cubes.forEach(cube => {
+      cube.nextWave = 0;
+    });
+  }
+
+  // Time between beats: a double turn plus the move delay, so a cube is always free
+  // again by its next beat
+  getWavePeriod() {
+    const internalSpeed = this.settings.speed * 0.4;
+    const animDuration = this.cubes.length > 0 ? this.cubes[0].animDuration : 300;
+    return (animDuration * 1.4) / internalSpeed + this.settings.delay;
+  }
+
+  // Start beats as they come due, and move each cube once a beat's front reaches it
+  updateWaves(currentTime) {
+    const settings = this.settings;
+    const running = settings.loop ? settings.playback !== 'pause' : settings.playback === 'play';
+    if (!running) {
+      // Start afresh on resume rather than catching up on missed beats
+      if (this.waveNextTime >= 0) this.resetWaves();
+      return;
+    }
+
+    const period = this.getWavePeriod();
+    if (this.waveNextTime < 0) this.waveNextTime = currentTime;
+    if (currentTime >= this.waveNextTime) {
+      this.waves.push({ number: this.waveNumber++, start: this.waveNextTime, delays: this.getWaveDelays(period) });
+      // After a stall (e.g. a hidden tab) carry on from now instead of bunching beats up
+      this.waveNextTime = Math.max(this.waveNextTime + period, currentTime);
+    }
+
+    this.cubes.forEach(cube => {
+      if (cube.isAnimating || cube.isSolving || cube.isDragging) return;
+      const wave = this.waves.find(w => w.number === cube.nextWave);
+      if (!wave || currentTime < wave.start + wave.delays.get(cube)) return;
+
+      cube.nextWave++;
+      if (settings.loop) {
+        cube.playNextLoopMove();
       } else {
-        loopStartTime = -1;
-        // Clear loop sequences
-        cubes.forEach(cube => {
-          cube.loopSequence = null;
-          cube.loopIndex = 0;
-        });
+        cube.randomMove();
       }
-      break;
-  }
-});
-
-// Mouse tracking for hover mode
-function onMouseMove(event) {
-  if (!container) {
-    // Full-page mode
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  } else {
-    // Container mode - calculate relative to container
-    const rect = container.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    });
+
+    // Drop beats every cube has moved for
+    const oldest = Math.min(...this.cubes.map(cube => cube.nextWave));
+    this.waves = this.waves.filter(w => w.number >= oldest);
+  }
+
+  // Delay (ms) after the start of a beat before each cube moves, as a Map of cube -> ms
+  getWaveDelays(period) {
+    const settings = this.settings;
+    const viewWidth = this.currentFrustumSize * this.aspect;
+    const viewHeight = this.currentFrustumSize;
+    // Ripples follow the cursor from wherever it was when the beat started
+    const center = this.viewCenter;
+    const origin = settings.waveOrigin === 'cursor'
+      ? { x: center.x + this.mouse.x * viewWidth / 2, y: center.y + this.mouse.y * viewHeight / 2 }
+      : { x: center.x, y: center.y };
+
+    const positions = this.cubes.map(cube => ({
+      row: cube.row,
+      col: cube.col,
+      x: cube.group.position.x,
+      y: cube.group.position.y
+    }));
+    const delays = waveDelays(settings.wave, positions, {
+      speed: Math.max(0.1, settings.waveSpeed),
+      period,
+      reverse: settings.waveDirection === 'reverse',
+      origin,
+      spacing: cubeSize
+    });
+    // By cube rather than index, since cubes come and go as the view pans
+    return new Map(this.cubes.map((cube, i) => [cube, delays[i]]));
   }
-}
 
-// Find which cube the mouse is over
-function getHoveredCube() {
-  raycaster.setFromCamera(mouse, camera);
-
-  // Check intersection with all cube groups
-  for (const cube of cubes) {
-    // Get all meshes in this cube's group
-    const meshes = [];
-    cube.group.traverse((child) => {
-      if (child.isMesh) {
-        meshes.push(child);
+  // --- Choreography ---
+
+  /**
+   * Play a choreography script (format in choreography.js) from fresh solved cubes
+   * Random moves and loop mode are off while it plays; playback stops at the end
+   * unless the script loops.
+   * @param {string|Object} script - JSON text or the parsed object
+   * @returns {number} - Length of the show in ms
+   */
+  playChoreography(script) {
+    const parsed = parseChoreography(script, { order: this.settings.order });
+    parsed.events.forEach(event => {
+      if (event.colorScheme && !COLOR_SCHEMES[event.colorScheme]) {
+        throw new Error(`playChoreography: unknown colour scheme "${event.colorScheme}"`);
       }
+      // Check the notation now, so a typo fails here rather than on some later rebuild
+      // (parseChoreography has checked move lists)
+      if (typeof event.moves === 'string') toMoves(event.moves, this.settings.order);
     });
 
-    const intersects = raycaster.intersectObjects(meshes);
-    if (intersects.length > 0) {
-      return cube;
+    if (this.settings.loop) this.applySetting('loop', false);
+    this.endDrag();
+    this.choreography = {
+      script: parsed,
+      initialScheme: this.settings.colorScheme,
+      frame: null,       // View the show was planned for (see planChoreography)
+      speed: 1,          // Speed it was planned at
+      colorEvents: [],
+      solutions: new Map(), // Solves worked out so far, by cube state (see buildTimeline)
+      duration: 0,
+      time: 0,           // Position in the show (ms)
+      lastTime: null,    // Clock time of the last tick, to advance from
+      nextColor: 0       // Index of the next colour event
+    };
+    // Fresh solved cubes; createGrid() plans the show for them
+    this.createGrid();
+    if (!this.choreography) {
+      throw new Error('playChoreography: the script does not fit this grid');
     }
+    this.applySetting('playback', 'play');
+    return this.choreography.duration;
   }
 
-  return null;
-}
+  // Work out every cube's moves for the current view - or, given cubes that have come
+  // into view since, just theirs, as they fall in the view the show was planned for
+  planChoreography(cubes = this.cubes) {
+    const show = this.choreography;
+    const replan = cubes === this.cubes;
+    if (replan) {
+      show.frame = this.getViewFrame();
+      show.speed = this.settings.speed;
+    }
+
+    // Rows and columns count from the cube in the middle of that view
+    const { x, y, width, height } = show.frame;
+    const [middle] = cellsNear(x, y, this.layout, 0);
+    const positions = this.cubes.map(cube => ({
+      row: cube.row - middle.row,
+      col: cube.col - middle.col,
+      u: (cube.group.position.x - x) / width + 0.5,
+      v: 0.5 - (cube.group.position.y - y) / height
+    }));
+
+    const eventsByCube = new Map(cubes.map(cube => [cube, []]));
+    show.script.events.forEach(event => {
+      if (event.colorScheme) return;
+      selectCubes(event.cubes, positions).forEach(i => {
+        const events = eventsByCube.get(this.cubes[i]);
+        if (events) events.push(event);
+      });
+    });
 
-// Main animation loop with hover mode support
-function animate(currentTime) {
-  if (!isInitialized) return;
-  requestAnimationFrame(animate);
+    // Scheduled at the speed when the show started (a later speed change just catches up)
+    const internalSpeed = show.speed * 0.4;
+    const moveDuration = move => {
+      const animDuration = this.cubes.length > 0 ? this.cubes[0].animDuration : 300;
+      return (animDuration * (move.turnAmount === 2 ? 1.4 : 1)) / internalSpeed;
+    };
+    const order = this.settings.order;
+    const solutions = show.solutions;
+    eventsByCube.forEach((events, cube) => {
+      cube.timeline = buildTimeline(events, { order, moveDuration, solutions });
+    });
+    // Newcomers fit into the show as it stands
+    if (!replan) return;
 
-  // Handle hover mode
-  if (settings.hoverMode) {
-    const newHoveredCube = getHoveredCube();
+    show.colorEvents = show.script.events.filter(event => event.colorScheme);
+    if (show.script.duration !== null) {
+      show.duration = show.script.duration;
+    } else {
+      const ends = this.cubes
+        .filter(cube => cube.timeline.length > 0)
+        .map(({ timeline }) => timeline[timeline.length - 1].start + timeline[timeline.length - 1].duration);
+      show.colorEvents.forEach(event => ends.push(event.at + COLOR_TRANSITION_DURATION));
+      show.duration = ends.reduce((max, end) => Math.max(max, end), 0);
+    }
+  }
 
-    if (newHoveredCube && newHoveredCube !== hoveredCube) {
-      hoveredCube = newHoveredCube;
-    } else if (!newHoveredCube) {
-      hoveredCube = null;
+  // Advance the show and start whatever has come due
+  updateChoreography(currentTime) {
+    const show = this.choreography;
+    const playing = this.settings.playback === 'play';
+    if (playing && show.lastTime !== null) {
+      show.time += currentTime - show.lastTime;
     }
+    show.lastTime = playing ? currentTime : null;
 
-    // If hovering over a cube and it's not animating, start a move
-    if (hoveredCube && !hoveredCube.isAnimating && !hoveredCube.isSolving) {
-      hoveredCube.randomMove();
+    if (show.time >= show.duration) {
+      if (show.script.loop && show.duration > 0) {
+        this.seekChoreography(show.time % show.duration);
+        show.lastTime = currentTime;
+      } else {
+        // Let the last moves finish, then stop
+        this.cubes.forEach(cube => this.startChoreographyMoves(cube, show.duration, currentTime));
+        this.choreography = null;
+        this.applySetting('playback', 'stop');
+        return;
+      }
     }
-  }
 
-  // Handle color transition animation
-  if (colorTransitionProgress < 1) {
-    if (!colorTransitionStartTime) {
-      colorTransitionStartTime = currentTime;
+    while (show.nextColor < show.colorEvents.length && show.colorEvents[show.nextColor].at <= show.time) {
+      this.applySetting('colorScheme', show.colorEvents[show.nextColor].colorScheme);
+      show.nextColor++;
     }
-    const elapsed = currentTime - colorTransitionStartTime;
-    colorTransitionProgress = Math.min(elapsed / COLOR_TRANSITION_DURATION, 1);
-    updateMaterialColors(colorTransitionProgress);
+    this.cubes.forEach(cube => this.startChoreographyMoves(cube, show.time, currentTime));
+  }
 
-    if (colorTransitionProgress >= 1) {
-      currentColors = { ...targetColors };
+  // Start a cube's moves that are due by show time, backdated to when they were due
+  // so every cube stays on the script's timing
+  startChoreographyMoves(cube, time, currentTime) {
+    const timeline = cube.timeline;
+    while (cube.choreographyIndex < timeline.length && timeline[cube.choreographyIndex].start <= time) {
+      const { start, speedUp, move } = timeline[cube.choreographyIndex++];
+      // Behind (after a pause or a slow frame) - snap the last move into place
+      if (cube.isAnimating) cube.finishMove();
+      cube.startMove(move.axis, move.layer, move.dir, move.turnAmount);
+      // Solves speed up as they go
+      cube.currentAnimDuration /= speedUp;
+      cube.animStartTime = currentTime - (time - start);
     }
   }
 
-  // In sync mode (when not in hover mode and not looping), handle timing
-  if (!settings.hoverMode && settings.sync && !settings.loop) {
-    // Initialize sync time on first run
-    if (syncNextMoveTime < 0) {
-      syncNextMoveTime = currentTime;
+  /**
+   * Jump to a point in the playing choreography
+   * Cubes go back to solved and make every move finished by then at once; a move
+   * under way picks up partway through.
+   * @param {number} time - ms from the start of the show
+   */
+  seekChoreography(time) {
+    const show = this.choreography;
+    if (!show) return;
+    show.time = Math.min(Math.max(0, time), show.duration);
+    show.lastTime = null;
+    this.pendingSolves = [];
+    this.endDrag();
+
+    this.cubes.forEach(cube => this.seekChoreographyCube(cube, show.time));
+
+    // Colours jump straight to the scheme in effect by then
+    const passed = show.colorEvents.filter(event => event.at <= show.time);
+    const scheme = passed.length > 0 ? passed[passed.length - 1].colorScheme : show.initialScheme;
+    show.nextColor = passed.length;
+    this.settings.colorScheme = scheme;
+    this.targetColors = COLOR_SCHEMES[scheme];
+    this.currentColors = { ...this.targetColors };
+    this.targetBackground = this.backgroundFor(scheme);
+    this.currentBackground = this.targetBackground;
+    this.colorTransitionProgress = 1;
+    this.updateMaterialColors(1);
+  }
+
+  // Put one cube where its timeline has it at a show time
+  seekChoreographyCube(cube, time) {
+    cube.reset();
+    const timeline = cube.timeline;
+    let index = 0;
+    while (index < timeline.length && timeline[index].start + timeline[index].duration <= time) {
+      cube.applyMoveInstant(timeline[index].move);
+      index++;
     }
+    cube.choreographyIndex = index;
+  }
 
-    // Check if it's time to trigger moves AND all cubes are ready
-    const timeToMove = currentTime >= syncNextMoveTime;
-    const allDone = cubes.every(c => !c.isAnimating && !c.isSolving);
+  // Stop the choreography where it is (cubes keep their state)
+  stopChoreography() {
+    this.choreography = null;
+  }
 
-    if (timeToMove && allDone) {
-      // Trigger moves on all cubes
-      cubes.forEach(c => {
-        if (settings.playback !== 'pause' && settings.playback !== 'stop') {
-          c.randomMove();
+  // --- Image mosaic ---
+
+  /**
+   * Show a picture across the grid: every cube starts solved wearing its piece of it,
+   * scrambles, then solves back into place (playback stops so the picture stays)
+   * @param {string|Blob|CanvasImageSource} source - Image URL, File/Blob, image, canvas or bitmap
+   * @param {Object} options
+   * @param {string} options.fit - 'cover' (default) fills the view, 'contain' shows all of it
+   * @param {number} options.scramble - Moves each cube scrambles before solving (default: 20, 0 to just show it)
+   * @returns {Promise} - Resolves once the picture is on the cubes (the reveal then plays)
+   */
+  async showImage(source, { fit = 'cover', scramble = 20 } = {}) {
+    const image = await loadImage(source);
+    if (this.isDestroyed) return;
+
+    // Sample once up front so an unreadable image throws before anything changes
+    const mosaic = { image, fit, frame: this.getViewFrame(), sampler: null, samplerKey: null };
+    this.getMosaicSampler(mosaic);
+    this.mosaic = mosaic;
+
+    if (this.settings.loop) {
+      // Loop palindromes end solved, so looping cubes reveal the picture every cycle
+      this.applySetting('loop', true);
+      return;
+    }
+
+    this.createGrid();
+    this.applySetting('playback', 'stop');
+    if (scramble > 0) {
+      this.cubes.forEach(cube => {
+        const moves = [];
+        let prev = null;
+        for (let i = 0; i < scramble; i++) {
+          prev = generateRandomMove(prev, this.settings, cube.random);
+          moves.push(prev);
         }
+        cube.play(moves);
       });
-      // Schedule next move with delay
-      // For zero delay, set to -1 so it triggers immediately on next check
-      const baseDelay = settings.delay;
-      if (baseDelay === 0) {
-        syncNextMoveTime = 0; // Always ready immediately
-      } else {
-        const randomVariation = baseDelay * 0.2;
-        syncNextMoveTime = currentTime + baseDelay + (Math.random() - 0.5) * 2 * randomVariation;
+      this.mosaicScrambling = true;
+    }
+  }
+
+  // Back to the colour scheme on every sticker, leaving the cubes as they are
+  clearImage() {
+    if (!this.mosaic) return;
+    this.mosaic = null;
+    this.mosaicScrambling = false;
+    this.cubes.forEach(cube => {
+      cube.cubies.forEach(cubie => {
+        const { x, y, z } = cubie.gridPos;
+        cubie.mesh.material = this.getSharedMaterials(x, y, z);
+      });
+    });
+    this.mosaicMaterials.forEach(m => m.dispose());
+    this.mosaicMaterials.clear();
+    this.instanceColorsDirty = true;
+    this.requestRender();
+  }
+
+  // Sampler for the picture at about one sample per sticker across the view it covers
+  // (three faces show per cube, so stickers sit about twice as close as their size)
+  getMosaicSampler(mosaic) {
+    const stickerSpacing = cubeSize / this.settings.order / 2;
+    const width = Math.max(1, Math.ceil(mosaic.frame.width / stickerSpacing));
+    const height = Math.max(1, Math.ceil(mosaic.frame.height / stickerSpacing));
+    const key = `${width}x${height}`;
+
+    if (!mosaic.sampler || mosaic.samplerKey !== key) {
+      // Behind the picture's transparent parts and around it: the colour between the cubes
+      const { top, bottom } = this.targetBackground;
+      const background = toHexString(lerpColor(top, bottom, 0.5));
+      mosaic.sampler = createImageSampler(mosaic.image, width, height, { fit: mosaic.fit, background });
+      mosaic.samplerKey = key;
+    }
+    return mosaic.sampler;
+  }
+
+  // Paint the picture onto the stickers facing the camera (the cubes must be solved).
+  // Painting the whole grid fits the picture to the view; it then stays put as the view
+  // pans, and cubes coming into view are painted with their piece of it (stickers
+  // outside it keep the scheme colours)
+  applyMosaic(cubes = this.cubes) {
+    if (cubes.length === 0) return;
+    const mosaic = this.mosaic;
+    if (cubes === this.cubes) mosaic.frame = this.getViewFrame();
+    const sample = this.getMosaicSampler(mosaic);
+    const { x, y, width, height } = mosaic.frame;
+
+    // Every cube has the same rotation, so the same faces face the camera
+    const rotation = cubes[0].group.quaternion;
+    const slots = [];
+    FACE_DIRECTIONS.forEach((direction, slot) => {
+      if (direction.clone().applyQuaternion(rotation).z > 1e-6) slots.push(slot);
+    });
+
+    // The camera looks straight down z, so world x/y map straight onto the view (near
+    // enough, through the perspective camera). Edge samples carry on for a cube's width
+    // past it, for stickers the view cuts across
+    const marginU = cubeSize / width;
+    const marginV = cubeSize / height;
+    cubes.forEach(cube => {
+      cube.applyMosaic(slots, point => {
+        const u = (point.x - x) / width + 0.5;
+        const v = 0.5 - (point.y - y) / height;
+        if (u < -marginU || u > 1 + marginU || v < -marginV || v > 1 + marginV) return null;
+        return sample(u, v);
+      });
+    });
+  }
+
+  // --- Keyboard mode ---
+
+  // Cube at a grid position, or the one nearest the middle of the view if it's gone
+  findCube(row, col) {
+    const cube = this.cubesByCell.get(`${row},${col}`);
+    if (cube) return cube;
+    const { x, y } = this.viewCenter;
+    const distance = c => Math.hypot(c.group.position.x - x, c.group.position.y - y);
+    let nearest = null;
+    this.cubes.forEach(c => {
+      if (!nearest || distance(c) < distance(nearest)) nearest = c;
+    });
+    return nearest;
+  }
+
+  // Move the keyboard focus (and its outline) to a cube, or clear it with null
+  setFocusedCube(cube) {
+    if (this.focusedCube) {
+      this.scene.remove(this.focusOutline);
+    }
+    this.focusedCube = cube;
+    this.typer.flush();
+    this.requestRender();
+    if (!cube) return;
+
+    this.focus = { row: cube.row, col: cube.col };
+    if (!this.focusOutline) {
+      // A box just outside the cube - its hidden edges stay hidden behind the cube
+      const outlineSize = cubeSize * 1.04;
+      this.focusOutline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.BoxGeometry(outlineSize, outlineSize, outlineSize)),
+        new THREE.LineBasicMaterial({ color: 0xffffff })
+      );
+    }
+    // In the scene rather than the cube's group, which isn't drawn when instanced
+    this.focusOutline.position.copy(cube.group.position);
+    this.focusOutline.quaternion.copy(cube.group.quaternion);
+    this.scene.add(this.focusOutline);
+  }
+
+  // Move the focus to the neighbouring cube - left/right along the row, or up/down to
+  // whichever cube in the next row sits closest (the rows are staggered)
+  moveFocus(rowStep, colStep) {
+    const from = this.focusedCube;
+    if (!from) return;
+
+    const row = from.row + rowStep;
+    let best = null;
+    this.cubes.forEach(cube => {
+      if (cube.row !== row) return;
+      if (colStep !== 0) {
+        if (cube.col === from.col + colStep) best = cube;
+        return;
+      }
+      const distance = Math.abs(cube.group.position.x - from.group.position.x);
+      const bestDistance = best ? Math.abs(best.group.position.x - from.group.position.x) : Infinity;
+      // On a tie, keep the same column so up then down comes back to the same cube
+      if (distance < bestDistance - 1e-6 || (Math.abs(distance - bestDistance) <= 1e-6 && cube.col === from.col)) {
+        best = cube;
       }
+    });
+    if (best) this.setFocusedCube(best);
+  }
+
+  // Queue moves on the focused cube (they play in order, however fast they're typed)
+  playOnFocusedCube(tokens) {
+    const cube = this.focusedCube;
+    if (!cube || tokens.length === 0) return;
+    try {
+      cube.play(tokens.join(' '));
+    } catch (error) {
+      console.warn(error.message);
+    }
+  }
+
+  onKeyDown(event) {
+    if (!this.settings.keyboardMode || !this.focusedCube) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const tag = event.target && event.target.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+    // [row step, column step] - rows count down the screen
+    const arrows = { ArrowLeft: [0, -1], ArrowRight: [0, 1], ArrowUp: [-1, 0], ArrowDown: [1, 0] };
+    if (arrows[event.key]) {
+      event.preventDefault();
+      this.moveFocus(...arrows[event.key]);
+      return;
+    }
+
+    if (this.settings.keyLayout === 'singmaster') {
+      const tokens = this.typer.type(event.key);
+      if (tokens === null) return;
+      event.preventDefault();
+      this.playOnFocusedCube(tokens);
+      // A move that's been typed plays on its own after a short pause
+      clearTimeout(this.typeTimer);
+      this.typeTimer = setTimeout(() => this.playOnFocusedCube(this.typer.flush()), TYPED_MOVE_WAIT);
+      return;
+    }
+
+    const notation = bindingForKey(event.code);
+    if (notation) {
+      event.preventDefault();
+      this.playOnFocusedCube([notation]);
     }
   }
 
-  // Loop mode logic — cubes play from pre-computed palindrome sequences
-  if (settings.loop && settings.playback !== 'pause') {
-    if (settings.sync) {
-      // Sync: all cubes move together
+  // --- Hover mode ---
+
+  // Mouse tracking for hover mode
+  onMouseMove(event) {
+    if (!this.container) {
+      // Full-page mode
+      this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+      this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    } else {
+      // Container mode - calculate relative to container
+      const rect = this.container.getBoundingClientRect();
+      this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+  }
+
+  // Find which cube the mouse is over
+  getHoveredCube() {
+    return this.pickCube(this.mouse);
+  }
+
+  // --- Picking ---
+
+  // Cube under a point of the view (normalised device coordinates), nearest the camera.
+  // Only the cells around where the pointer's ray crosses the grid plane are tested
+  // (see picking.js); leaves this.raycaster set up for that ray
+  pickCube(ndc) {
+    this.raycaster.setFromCamera(ndc, this.camera);
+    const ray = this.raycaster.ray;
+    if (!this.layout || ray.direction.z === 0) return null;
+
+    const t = -ray.origin.z / ray.direction.z;
+    const x = ray.origin.x + ray.direction.x * t;
+    const y = ray.origin.y + ray.direction.y * t;
+
+    // The outside of the outer cubies, just inside the full cube size
+    const halfSize = (cubeSize - getCubieGap(cubeSize, this.settings.order)) / 2;
+    let nearest = null;
+    let nearestDistance = Infinity;
+    cellsNear(x, y, this.layout).forEach(({ row, col }) => {
+      const cube = this.cubesByCell.get(`${row},${col}`);
+      if (!cube) return;
+      const distance = rayBoxDistance(ray, cube.group.position, cube.group.quaternion, halfSize);
+      if (distance !== null && distance < nearestDistance) {
+        nearest = cube;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Cube under a point on the page
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {RubiksCube|null}
+   */
+  getCubeAt(clientX, clientY) {
+    this.setPointer(clientX, clientY);
+    return this.pickCube(this.pointer);
+  }
+
+  // Main animation loop - exportFrames() takes over the clock while it runs
+  animate(currentTime) {
+    if (this.isDestroyed) return;
+    this.animationId = requestAnimationFrame(this.animate);
+    if (this.isExporting) return;
+
+    // Frame rate cap - frames that come too soon are skipped (with a little slack for
+    // display jitter), keeping to the cap's beat rather than drifting behind it
+    const maxFps = this.settings.maxFps;
+    if (maxFps > 0 && this.lastFrameTime !== null) {
+      const interval = 1000 / maxFps;
+      const since = currentTime - this.lastFrameTime;
+      if (since < interval - 1) return;
+      this.lastFrameTime = since > interval * 2 ? currentTime : this.lastFrameTime + interval;
+    } else {
+      this.lastFrameTime = currentTime;
+    }
+    this.tick(currentTime);
+  }
+
+  // Draw the next frame - anything that changes what's on screen asks for one
+  requestRender() {
+    this.needsRender = true;
+  }
+
+  onVisibilityChange() {
+    this.setSuspended('hidden', document.hidden);
+  }
+
+  /**
+   * Stop or restart the frame loop for a reason ('hidden' or 'offscreen') - it runs
+   * while there's no reason left to stop it. Nothing moves on while it's stopped:
+   * every pending time (moves under way, sync and wave beats, delays, colour fades,
+   * a choreography) is pushed back by the time away, so it carries on where it left off.
+   * @param {string} reason
+   * @param {boolean} suspended
+   */
+  setSuspended(reason, suspended) {
+    const reasons = this.suspendReasons;
+    const wasSuspended = reasons.size > 0;
+    if (suspended) {
+      reasons.add(reason);
+    } else {
+      reasons.delete(reason);
+    }
+    if (this.isDestroyed || wasSuspended === reasons.size > 0) return;
+
+    if (this.audio) this.audio.setPaused(suspended);
+    if (suspended) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+      this.suspendedAt = performance.now();
+    } else {
+      // An export keeps the clock itself, and puts it right when it finishes
+      if (!this.isExporting) this.shiftClock(performance.now() - this.suspendedAt);
+      this.lastFrameTime = null;
+      this.requestRender();
+      this.animationId = requestAnimationFrame(this.animate);
+    }
+  }
+
+  // Advance everything to currentTime and render one frame (with hover mode support)
+  tick(currentTime) {
+    const settings = this.settings;
+
+    // Zooms and pans first, so everything below sees the cubes now in view
+    this.updateView(currentTime);
+    const cubes = this.cubes;
+
+    // Handle hover mode
+    if (settings.hoverMode) {
+      const newHoveredCube = this.getHoveredCube();
+
+      if (newHoveredCube && newHoveredCube !== this.hoveredCube) {
+        this.hoveredCube = newHoveredCube;
+      } else if (!newHoveredCube) {
+        this.hoveredCube = null;
+      }
+
+      // If hovering over a cube and it's not animating, start a move
+      const hoveredCube = this.hoveredCube;
+      if (hoveredCube && !hoveredCube.isAnimating && !hoveredCube.isSolving) {
+        hoveredCube.randomMove();
+      }
+    }
+
+    // Handle color transition animation
+    if (this.colorTransitionProgress < 1) {
+      if (!this.colorTransitionStartTime) {
+        this.colorTransitionStartTime = currentTime;
+      }
+      const elapsed = currentTime - this.colorTransitionStartTime;
+      this.colorTransitionProgress = Math.min(elapsed / COLOR_TRANSITION_DURATION, 1);
+      this.updateMaterialColors(this.colorTransitionProgress);
+
+      if (this.colorTransitionProgress >= 1) {
+        this.currentColors = { ...this.targetColors };
+        this.currentBackground = this.targetBackground;
+        this.emit('colorTransitionEnd', { colorScheme: settings.colorScheme });
+      }
+    }
+
+    // In sync mode (when not in hover mode and not looping), handle timing
+    if (!settings.hoverMode && settings.sync && !settings.loop && settings.wave === 'off') {
+      // Initialize sync time on first run
+      if (this.syncNextMoveTime < 0) {
+        this.syncNextMoveTime = currentTime;
+      }
+
+      // Check if it's time to trigger moves AND all cubes are ready
+      const timeToMove = currentTime >= this.syncNextMoveTime;
       const allDone = cubes.every(c => !c.isAnimating && !c.isSolving);
-      if (allDone) {
-        if (loopStartTime < 0) loopStartTime = currentTime;
-        if (currentTime >= loopStartTime) {
-          cubes.forEach(c => c.playNextLoopMove());
-          const baseDelay = settings.delay;
-          if (baseDelay === 0) {
-            loopStartTime = 0;
-          } else {
-            const variation = baseDelay * 0.2;
-            loopStartTime = currentTime + baseDelay + (Math.random() - 0.5) * 2 * variation;
+
+      if (timeToMove && allDone) {
+        // Trigger moves on all cubes
+        cubes.forEach(c => {
+          if (settings.playback !== 'pause' && settings.playback !== 'stop') {
+            c.randomMove();
           }
+        });
+        // Schedule next move with delay
+        // For zero delay, set to -1 so it triggers immediately on next check
+        const baseDelay = settings.delay;
+        if (baseDelay === 0) {
+          this.syncNextMoveTime = 0; // Always ready immediately
+        } else {
+          const randomVariation = baseDelay * 0.2;
+          this.syncNextMoveTime = currentTime + baseDelay + (this.random() - 0.5) * 2 * randomVariation;
         }
       }
-    } else {
-      // Independent: each cube loops through its own palindrome at its own pace
-      cubes.forEach(c => {
-        if (!c.isAnimating && !c.isSolving) {
-          if (currentTime - c.lastMoveTime >= c.delay) {
-            c.playNextLoopMove();
-            c.lastMoveTime = currentTime;
+    }
+
+    // Loop mode logic — cubes play from pre-computed palindrome sequences
+    if (settings.loop && settings.playback !== 'pause' && settings.wave === 'off') {
+      if (settings.sync) {
+        // Sync: all cubes move together
+        const allDone = cubes.every(c => !c.isAnimating && !c.isSolving);
+        if (allDone) {
+          if (this.loopStartTime < 0) this.loopStartTime = currentTime;
+          if (currentTime >= this.loopStartTime) {
+            cubes.forEach(c => c.playNextLoopMove());
             const baseDelay = settings.delay;
-            const variation = baseDelay * 0.3;
-            c.delay = baseDelay + (Math.random() - 0.5) * 2 * variation;
+            if (baseDelay === 0) {
+              this.loopStartTime = 0;
+            } else {
+              const variation = baseDelay * 0.2;
+              this.loopStartTime = currentTime + baseDelay + (this.random() - 0.5) * 2 * variation;
+            }
           }
         }
-      });
+      } else {
+        // Independent: each cube loops through its own palindrome at its own pace
+        cubes.forEach(c => {
+          if (!c.isAnimating && !c.isSolving) {
+            if (currentTime - c.lastMoveTime >= c.delay) {
+              c.playNextLoopMove();
+              c.lastMoveTime = currentTime;
+              const baseDelay = settings.delay;
+              const variation = baseDelay * 0.3;
+              c.delay = baseDelay + (c.random() - 0.5) * 2 * variation;
+            }
+          }
+        });
+      }
+    }
+
+    // Wave modes - moves spread across the grid from beat to beat
+    if (settings.wave !== 'off') {
+      this.updateWaves(currentTime);
+    }
+
+    // Choreography - moves and colour changes at the times the script gives
+    if (this.choreography) {
+      this.updateChoreography(currentTime);
+    }
+
+    // Mosaic reveal - once every cube has played its scramble, they all solve into the picture
+    if (this.mosaicScrambling && cubes.every(c => !c.isAnimating && c.moveQueue.length === 0)) {
+      this.mosaicScrambling = false;
+      this.applySetting('solve');
+    }
+
+    // Start pending solves within a small per-frame budget so large grids don't freeze
+    const solveBudgetEnd = performance.now() + 8;
+    while (this.pendingSolves.length > 0 && performance.now() < solveBudgetEnd) {
+      this.pendingSolves.shift().startSolve();
+    }
+
+    // Update all cubes (handles animation progress, independent mode timing)
+    cubes.forEach(c => c.update(currentTime));
+
+    // A solve is over once no cube is still working on it
+    if (this.solveRequested && this.pendingSolves.length === 0 &&
+        cubes.every(c => !c.isSolving && !c.isAnimating)) {
+      this.solveRequested = false;
+      if (cubes.every(c => c.isSolved())) this.emit('solved', { cubes: cubes.length });
+    }
+
+    if (this.audio) {
+      this.audio.flush();
+      this.audio.setSolveSpeed(this.getSolveSpeed());
+    }
+
+    // Only draw when something has changed (every frame of an export is drawn)
+    if (this.needsRender || this.isExporting) {
+      this.needsRender = false;
+      if (this.instances) {
+        this.updateInstances();
+      }
+      this.renderer.render(this.scene, this.camera);
     }
   }
 
-  // Update all cubes (handles animation progress, independent mode timing)
-  cubes.forEach(c => c.update(currentTime));
+  // Move every pending timestamp by delta ms, e.g. after rendering on a virtual clock
+  shiftClock(delta) {
+    this.cubes.forEach(cube => {
+      if (cube.animStartTime) cube.animStartTime += delta;
+      cube.lastMoveTime += delta;
+    });
+    if (this.syncNextMoveTime > 0) this.syncNextMoveTime += delta;
+    if (this.waveNextTime > 0) this.waveNextTime += delta;
+    this.waves.forEach(wave => {
+      wave.start += delta;
+    });
+    if (this.loopStartTime > 0) this.loopStartTime += delta;
+    if (this.colorTransitionStartTime) this.colorTransitionStartTime += delta;
+    if (this.choreography && this.choreography.lastTime !== null) this.choreography.lastTime += delta;
+    if (this.viewTime !== null) this.viewTime += delta;
+    if (this.projectionTransition && this.projectionTransition.start !== null) this.projectionTransition.start += delta;
+  }
 
-  renderer.render(scene, camera);
-}
+  // --- Events ---
 
-/**
- * Initialize the Rubik's cube visualization
- * @param {HTMLElement} containerElement - Optional container element. If not provided, appends to document.body
- */
-export function initRubiks(containerElement = null) {
-  if (isInitialized) {
-    console.warn('Rubiks visualization already initialized');
-    return;
-  }
-
-  container = containerElement;
-  const size = getContainerSize();
-  aspect = size.width / size.height;
-
-  // Scene setup
-  scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x000000);
-
-  // Camera
-  currentFrustumSize = baseFrustumSize;
-  camera = new THREE.OrthographicCamera(
-    -currentFrustumSize * aspect / 2,
-    currentFrustumSize * aspect / 2,
-    currentFrustumSize / 2,
-    -currentFrustumSize / 2,
-    0.1,
-    1000
-  );
-  camera.position.set(0, 0, 10);
-  camera.lookAt(0, 0, 0);
+  // Call back on an event (see GRID_EVENTS) - returns a function that stops it
+  on(type, callback) {
+    if (!GRID_EVENTS.includes(type)) {
+      throw new Error(`on: unknown event "${type}" (expected ${GRID_EVENTS.join(', ')})`);
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('on: callback must be a function');
+    }
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(callback);
+    return () => this.off(type, callback);
+  }
 
-  // Renderer
-  renderer = new THREE.WebGLRenderer({ antialias: true });
-  renderer.setSize(size.width, size.height);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  off(type, callback) {
+    const callbacks = this.listeners.get(type);
+    if (callbacks) callbacks.delete(callback);
+  }
 
-  // Append canvas to container or body
-  if (container) {
-    container.appendChild(renderer.domElement);
-  } else {
-    document.body.appendChild(renderer.domElement);
+  hasListeners(type) {
+    const callbacks = this.listeners.get(type);
+    return Boolean(callbacks && callbacks.size > 0);
   }
 
-  // Set up event listeners
-  window.addEventListener('resize', onResize);
-  window.addEventListener('mousemove', onMouseMove);
+  // A throwing callback mustn't stop the frame, or the others hearing about it
+  emit(type, detail) {
+    if (!this.hasListeners(type)) return;
+    this.listeners.get(type).forEach(callback => {
+      try {
+        callback(detail);
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
+  // --- Sound ---
+
+  // Start or stop the audio to match the sound setting
+  updateAudio() {
+    if (this.settings.sound && !this.audio) {
+      this.audio = new CubeAudio({ volume: this.settings.soundVolume });
+    } else if (!this.settings.sound && this.audio) {
+      this.audio.dispose();
+      this.audio = null;
+    }
+  }
+
+  // A cube's turn starting or ending, panned to where the cube is across the view
+  playTurnSound(cube, phase, duration) {
+    // Springing back from a drag isn't a turn, and an export runs faster than real time
+    if (!this.audio || this.isExporting || cube.animTurnAmount === 0) return;
+    const pan = cube.group.position.clone().project(this.camera).x;
+    const sound = { pan, turnAmount: cube.animTurnAmount, duration };
+    if (phase === 'start') {
+      this.audio.turnStart(sound);
+    } else {
+      this.audio.turnEnd(sound);
+    }
+  }
+
+  // How far a solve has sped up (see RubiksCube.getSolveSpeedMultiplier) - the
+  // average over the solving cubes, 0 if none are (or playback is paused)
+  getSolveSpeed() {
+    if (this.settings.playback === 'pause' || this.isExporting) return 0;
+    const solving = this.cubes.filter(cube => cube.isSolving);
+    if (solving.length === 0) return 0;
+    return solving.reduce((sum, cube) => sum + cube.getSolveSpeedMultiplier(), 0) / solving.length;
+  }
+
+  // --- Export ---
+
+  /**
+   * Render frames on a fixed virtual clock instead of requestAnimationFrame time
+   * @param {Object} options
+   * @param {number} options.width - Output width in pixels (default: 1920)
+   * @param {number} options.height - Output height in pixels (default: 1080)
+   * @param {number} options.fps - Frame rate (default: 60)
+   * @param {number} options.duration - Length in ms (default: 5000, ignored when loop is set)
+   * @param {boolean} options.loop - Export exactly one seamless loop (loop mode from fresh cubes)
+   * @param {number} options.maxDuration - Cap for loop exports in ms (default: 5 minutes)
+   * @param {string} options.format - 'png' for an image sequence or 'webm' for a video (default: 'png')
+   * @param {string} options.mimeType - Preferred WebM type, e.g. 'video/webm;codecs=vp9'
+   * @param {Function} options.onProgress - Called with (framesDone, totalFrames or null for loops)
+   * @returns {Promise<Blob[]|Blob>} - PNG blobs, or one WebM blob
+   */
+  async exportFrames({
+    width = 1920,
+    height = 1080,
+    fps = 60,
+    duration = 5000,
+    loop = false,
+    maxDuration = 300000,
+    format = 'png',
+    mimeType = null,
+    onProgress = null
+  } = {}) {
+    if (this.isExporting) {
+      throw new Error('exportFrames: an export is already running');
+    }
+    if (format !== 'png' && format !== 'webm') {
+      throw new Error(`exportFrames: unknown format "${format}" (use 'png' or 'webm')`);
+    }
+
+    const renderer = this.renderer;
+    const previous = {
+      size: renderer.getSize(new THREE.Vector2()),
+      pixelRatio: renderer.getPixelRatio(),
+      aspect: this.aspect,
+      loop: this.settings.loop,
+      playback: this.settings.playback,
+      hoverMode: this.settings.hoverMode,
+      dragMode: this.settings.dragMode,
+      keyboardMode: this.settings.keyboardMode
+    };
+    this.isExporting = true;
+    // Keep the keyboard focus outline out of the frames
+    if (this.focusOutline) this.focusOutline.visible = false;
+
+    // Render at the output size without touching the canvas's CSS size
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    this.aspect = width / height;
+    this.updateCameraZoom();
+
+    if (loop) {
+      // Fresh solved cubes, each stopping once it has played its palindrome through
+      this.applySetting('loop', true);
+      this.cubes.forEach(cube => {
+        cube.loopMovesLeft = cube.loopSequence.length;
+      });
+    } else if (this.aspect !== previous.aspect) {
+      this.reflowGrid(); // Cover the new frame shape
+    }
+
+    const frameMs = 1000 / fps;
+    const startTime = performance.now();
+    const totalFrames = Math.ceil((loop ? maxDuration : duration) / frameMs);
+    let clock = startTime;
+
+    const renderFrame = frame => {
+      if (this.isDestroyed || frame >= totalFrames) return false;
+      clock = startTime + frame * frameMs;
+      this.tick(clock);
+      // Once every cube is back to solved the next frame would repeat frame 0, so stop
+      if (loop && frame > 0 && this.cubes.every(c => c.loopMovesLeft === 0 && !c.isAnimating)) {
+        return false;
+      }
+      if (onProgress) onProgress(frame + 1, loop ? null : totalFrames);
+      return true;
+    };
+
+    try {
+      const canvas = renderer.domElement;
+      return format === 'webm'
+        ? await recordWebM(canvas, renderFrame, { fps, mimeType })
+        : await capturePngSequence(canvas, renderFrame);
+    } finally {
+      this.finishExport(previous, clock);
+    }
+  }
 
-  isInitialized = true;
+  // Put the live view back the way exportFrames() found it
+  finishExport(previous, clock) {
+    this.isExporting = false;
+    if (this.isDestroyed) return;
 
-  // Create grid and start animation
-  createGrid();
-  requestAnimationFrame(animate);
+    this.cubes.forEach(cube => {
+      cube.loopMovesLeft = Infinity;
+    });
+    if (this.settings.loop && !previous.loop) {
+      // Loop mode also switched playback on, so put that back too
+      this.applySetting('loop', false);
+      this.settings.playback = previous.playback;
+      this.settings.hoverMode = previous.hoverMode;
+      if (previous.dragMode) this.applySetting('dragMode', true);
+      if (previous.keyboardMode) this.applySetting('keyboardMode', true);
+    }
+    if (this.focusOutline) this.focusOutline.visible = true;
+
+    this.renderer.setPixelRatio(previous.pixelRatio);
+    this.renderer.setSize(previous.size.x, previous.size.y);
+    const aspectChanged = this.aspect !== previous.aspect;
+    this.aspect = previous.aspect;
+    this.updateCameraZoom();
+    if (aspectChanged) {
+      this.reflowGrid();
+    }
+
+    // Carry on from where the export left off (or, if the loop is stopped, from when it restarts)
+    this.shiftClock(performance.now() - clock);
+    if (this.suspendReasons.size > 0) this.suspendedAt = performance.now();
+  }
+
+  // Stop the animation loop and release everything this grid created
+  destroy() {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+
+    if (this.animationId) cancelAnimationFrame(this.animationId);
+    clearTimeout(this.urlUpdateTimer);
+    window.removeEventListener('resize', this.onResize);
+    window.removeEventListener('mousemove', this.onMouseMove);
+    this.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    window.removeEventListener('pointercancel', this.onPointerUp);
+    this.renderer.domElement.removeEventListener('wheel', this.onWheel);
+    window.removeEventListener('keydown', this.onKeyDown);
+    clearTimeout(this.typeTimer);
+    if (this.eventTarget) {
+      this.eventTarget.removeEventListener('rubiks-settings', this.onSettingsEvent);
+    }
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    if (this.visibilityObserver) this.visibilityObserver.disconnect();
+
+    this.cubes.forEach(c => this.scene.remove(c.group));
+    this.cubes.length = 0;
+    this.disposeInstances();
+    this.clearSharedCache();
+    if (this.focusOutline) {
+      this.focusOutline.geometry.dispose();
+      this.focusOutline.material.dispose();
+    }
+    this.backdrop.dispose();
+    if (this.audio) this.audio.dispose();
+    this.listeners.clear();
+
+    this.renderer.dispose();
+    const canvas = this.renderer.domElement;
+    if (canvas.parentNode) {
+      canvas.parentNode.removeChild(canvas);
+    }
+  }
+}
+
+/**
+ * Initialize a Rubik's cube visualization
+ * Each call creates an independent grid, so several can run on the same page
+ * @param {HTMLElement} containerElement - Optional container element. If not provided, appends to document.body
+ * @param {Object} options - Initial settings (speed, delay, gridSize, order, sync, playback, colorScheme, background, hoverMode, dragMode,
+ *   keyboardMode, keyLayout, wave, waveSpeed, waveDirection, waveOrigin, loop, seed, sliceMoveChance,
+ *   wideMoveChance, instanced, cubieStyle, lighting, projection, reflowScramble, panZoom, maxFps, sound, soundVolume)
+ * @param {EventTarget|null} options.eventTarget - Where to listen for 'rubiks-settings' events (default: window, null to disable)
+ * @param {boolean} options.syncUrl - Restore settings from the URL hash and keep it up to date (default: false)
+ * @param {Object} options.defaults - Settings this page starts from instead of the built-in defaults - unlike
+ *   the settings above, the URL hash leaves them out while they're unchanged
+ * @returns {Object} - Controller with play(), pause(), stop(), solve(), setSettings(), getSettings(),
+ *   getMoveHistory(), exportFrames(), getRenderInfo(), getCubeAt(), showImage(), clearImage(), playChoreography(),
+ *   seekChoreography(), stopChoreography(), getChoreographyTime(), on(), off() and destroy()
+ */
+export function initRubiks(containerElement = null, options = {}) {
+  const grid = new RubiksGrid(containerElement, options);
+  activeGrids.add(grid);
+
+  return {
+    // With a sequence, every cube plays it (e.g. play("R U R' U'")); without, resumes playback
+    play: (sequence) => {
+      if (sequence === undefined) {
+        grid.applySetting('playback', 'play');
+      } else {
+        const moves = toMoves(sequence, grid.settings.order);
+        grid.cubes.forEach(cube => cube.play(moves));
+      }
+    },
+    pause: () => grid.applySetting('playback', 'pause'),
+    stop: () => grid.applySetting('playback', 'stop'),
+    solve: () => grid.applySetting('solve'),
+    setSettings: (values) => grid.setSettings(values),
+    getSettings: () => ({ ...grid.settings }),
+    getMoveHistory: (options) => grid.cubes.map(cube => cube.getMoveHistory(options)),
+    exportFrames: (options) => grid.exportFrames(options),
+    getRenderInfo: () => grid.getRenderInfo(),
+    // { row, col } of the cube under a point on the page, or null
+    getCubeAt: (clientX, clientY) => {
+      const cube = grid.getCubeAt(clientX, clientY);
+      return cube ? { row: cube.row, col: cube.col } : null;
+    },
+    showImage: (source, options) => grid.showImage(source, options),
+    clearImage: () => grid.clearImage(),
+    // Choreography scripts (see choreography.js) - play returns the show's length in ms
+    playChoreography: (script) => grid.playChoreography(script),
+    seekChoreography: (time) => grid.seekChoreography(time),
+    stopChoreography: () => grid.stopChoreography(),
+    // { time, duration } in ms, or null when no choreography is playing
+    getChoreographyTime: () => (grid.choreography
+      ? { time: grid.choreography.time, duration: grid.choreography.duration }
+      : null),
+    // Events for the page (see GRID_EVENTS) - on returns a function that unsubscribes
+    on: (type, callback) => grid.on(type, callback),
+    off: (type, callback) => grid.off(type, callback),
+    destroy: () => {
+      grid.destroy();
+      activeGrids.delete(grid);
+    }
+  };
 }
 
 // Module is initialized by calling initRubiks() from the consuming page
@@ -1226,10 +3622,21 @@ export function initRubiks(containerElement = null) {
  * @param {Object} options - Configuration options
  * @param {string} options.mode - 'scrambled' | 'animating' | 'solved'
  * @param {string} options.colorScheme - Color scheme name (default: 'classic')
+ * @param {number} options.order - Layers per cube edge, 2-7 (default: 3)
+ * @param {number} options.sliceMoveChance - Probability of inner-layer moves (default: 0)
+ * @param {number} options.wideMoveChance - Probability of wide two-layer moves (default: 0)
+ * @param {number|string} options.seed - Seed for the scramble and moves (default: random)
  * @returns {Object} - Control object with destroy() method
  */
 export function createMiniCube(containerElement, options = {}) {
-  const { mode = 'animating', colorScheme = 'classic' } = options;
+  const { mode = 'animating', colorScheme = 'classic', seed = randomSeed() } = options;
+  const order = clampOrder(options.order || 3);
+  const random = createRandom(hashSeed(seed));
+  const moveOptions = {
+    sliceMoveChance: options.sliceMoveChance || 0,
+    wideMoveChance: options.wideMoveChance || 0,
+    order
+  };
 
   if (!containerElement) {
     console.error('createMiniCube: containerElement is required');
@@ -1252,12 +3659,13 @@ export function createMiniCube(containerElement, options = {}) {
 
   // Create geometry and materials for this cube (not shared with main grid)
   const createLocalMaterials = (x, y, z) => {
+    const last = order - 1;
     return [
-      new THREE.MeshBasicMaterial({ color: x === 2 ? colors.right : colors.internal }),
+      new THREE.MeshBasicMaterial({ color: x === last ? colors.right : colors.internal }),
       new THREE.MeshBasicMaterial({ color: x === 0 ? colors.left : colors.internal }),
-      new THREE.MeshBasicMaterial({ color: y === 2 ? colors.top : colors.internal }),
+      new THREE.MeshBasicMaterial({ color: y === last ? colors.top : colors.internal }),
       new THREE.MeshBasicMaterial({ color: y === 0 ? colors.bottom : colors.internal }),
-      new THREE.MeshBasicMaterial({ color: z === 2 ? colors.front : colors.internal }),
+      new THREE.MeshBasicMaterial({ color: z === last ? colors.front : colors.internal }),
       new THREE.MeshBasicMaterial({ color: z === 0 ? colors.back : colors.internal }),
     ];
   };
@@ -1267,7 +3675,7 @@ export function createMiniCube(containerElement, options = {}) {
     constructor(size = 1) {
       this.size = size;
       this.group = new THREE.Group();
-      this.cubeSize = size / 3;
+      this.cubeSize = size / order;
       this.cubies = [];
 
       // Animation state
@@ -1283,7 +3691,7 @@ export function createMiniCube(containerElement, options = {}) {
       this.animPivot = new THREE.Group();
 
       // Timing
-      this.delay = 600 + Math.random() * 400;
+      this.delay = 600 + random() * 400;
       this.lastMoveTime = performance.now();
       this.lastMove = null;
 
@@ -1303,19 +3711,21 @@ export function createMiniCube(containerElement, options = {}) {
     }
 
     createCubies() {
-      const gap = 0.04 * this.size;
+      const gap = getCubieGap(this.size, order);
       const actualSize = this.cubeSize - gap;
       const geom = new THREE.BoxGeometry(actualSize, actualSize, actualSize);
+      const offset = (order - 1) / 2;
 
-      for (let x = 0; x < 3; x++) {
-        for (let y = 0; y < 3; y++) {
-          for (let z = 0; z < 3; z++) {
+      for (let x = 0; x < order; x++) {
+        for (let y = 0; y < order; y++) {
+          for (let z = 0; z < order; z++) {
+            if (!isSurfaceCubie(x, y, z, order)) continue;
             const materials = createLocalMaterials(x, y, z);
             const mesh = new THREE.Mesh(geom, materials);
             mesh.position.set(
-              (x - 1) * this.cubeSize,
-              (y - 1) * this.cubeSize,
-              (z - 1) * this.cubeSize
+              (x - offset) * this.cubeSize,
+              (y - offset) * this.cubeSize,
+              (z - offset) * this.cubeSize
             );
             this.cubies.push({ mesh, gridPos: { x, y, z } });
             this.group.add(mesh);
@@ -1326,20 +3736,17 @@ export function createMiniCube(containerElement, options = {}) {
 
     scramble(moves) {
       // Apply random moves instantly (no animation) to scramble
-      const axes = ['x', 'y', 'z'];
-      const layers = [0, 2];
-
+      let prev = null;
       for (let i = 0; i < moves; i++) {
-        const axis = axes[Math.floor(Math.random() * 3)];
-        const layer = layers[Math.floor(Math.random() * 2)];
-        const dir = Math.random() < 0.5 ? 1 : -1;
-        this.applyMoveInstant(axis, layer, dir);
+        const move = generateRandomMove(prev, moveOptions, random);
+        this.applyMoveInstant(move.axis, move.layer, move.dir, move.turnAmount);
+        prev = move;
       }
     }
 
-    applyMoveInstant(axis, layer, dir) {
+    applyMoveInstant(axis, layer, dir, turnAmount = 1) {
       const cubies = this.getCubiesInLayer(axis, layer);
-      const angle = (Math.PI / 2) * dir;
+      const angle = (Math.PI / 2) * dir * turnAmount;
 
       cubies.forEach(cubie => {
         // Rotate position
@@ -1359,9 +3766,9 @@ export function createMiniCube(containerElement, options = {}) {
         }
 
         // Snap to grid
-        cubie.mesh.position.x = Math.round(cubie.mesh.position.x / this.cubeSize) * this.cubeSize;
-        cubie.mesh.position.y = Math.round(cubie.mesh.position.y / this.cubeSize) * this.cubeSize;
-        cubie.mesh.position.z = Math.round(cubie.mesh.position.z / this.cubeSize) * this.cubeSize;
+        cubie.mesh.position.x = snapToCubie(cubie.mesh.position.x, this.cubeSize, order);
+        cubie.mesh.position.y = snapToCubie(cubie.mesh.position.y, this.cubeSize, order);
+        cubie.mesh.position.z = snapToCubie(cubie.mesh.position.z, this.cubeSize, order);
 
         // Rotate mesh orientation
         const rotQuat = new THREE.Quaternion();
@@ -1375,12 +3782,12 @@ export function createMiniCube(containerElement, options = {}) {
     getCubiesInLayer(axis, layer) {
       return this.cubies.filter(cubie => {
         const pos = cubie.mesh.position;
-        const gx = Math.round(pos.x / this.cubeSize) + 1;
-        const gy = Math.round(pos.y / this.cubeSize) + 1;
-        const gz = Math.round(pos.z / this.cubeSize) + 1;
-        if (axis === 'x') return gx === layer;
-        if (axis === 'y') return gy === layer;
-        return gz === layer;
+        const gx = layerAt(pos.x, this.cubeSize, order);
+        const gy = layerAt(pos.y, this.cubeSize, order);
+        const gz = layerAt(pos.z, this.cubeSize, order);
+        if (axis === 'x') return layerIncludes(layer, gx);
+        if (axis === 'y') return layerIncludes(layer, gy);
+        return layerIncludes(layer, gz);
       });
     }
 
@@ -1439,7 +3846,7 @@ export function createMiniCube(containerElement, options = {}) {
       } else {
         if (currentTime - this.lastMoveTime > this.delay) {
           this.lastMoveTime = currentTime;
-          this.delay = 500 + Math.random() * 500;
+          this.delay = 500 + random() * 500;
           this.randomMove();
         }
       }
@@ -1461,9 +3868,9 @@ export function createMiniCube(containerElement, options = {}) {
         this.group.add(cubie.mesh);
         this.group.worldToLocal(worldPos);
 
-        worldPos.x = Math.round(worldPos.x / this.cubeSize) * this.cubeSize;
-        worldPos.y = Math.round(worldPos.y / this.cubeSize) * this.cubeSize;
-        worldPos.z = Math.round(worldPos.z / this.cubeSize) * this.cubeSize;
+        worldPos.x = snapToCubie(worldPos.x, this.cubeSize, order);
+        worldPos.y = snapToCubie(worldPos.y, this.cubeSize, order);
+        worldPos.z = snapToCubie(worldPos.z, this.cubeSize, order);
 
         cubie.mesh.position.copy(worldPos);
 
@@ -1480,31 +3887,9 @@ export function createMiniCube(containerElement, options = {}) {
     }
 
     randomMove() {
-      const axes = ['x', 'y', 'z'];
-      const layers = [0, 2];
-      let axis, layer, dir, turnAmount;
-      let attempts = 0;
-
-      do {
-        axis = axes[Math.floor(Math.random() * 3)];
-        layer = layers[Math.floor(Math.random() * 2)];
-        dir = Math.random() < 0.5 ? 1 : -1;
-        turnAmount = Math.random() < 0.25 ? 2 : 1;
-        attempts++;
-      } while (this.isRedundantMove(axis, layer, dir) && attempts < 10);
-
-      this.lastMove = { axis, layer, dir, turnAmount };
-      this.startMove(axis, layer, dir, turnAmount);
-    }
-
-    isRedundantMove(axis, layer, dir) {
-      if (!this.lastMove) return false;
-      const last = this.lastMove;
-      if (last.axis === axis && last.layer === layer) {
-        if (last.dir === dir) return true;
-        if (last.dir === -dir && last.turnAmount === 1) return true;
-      }
-      return false;
+      const move = generateRandomMove(this.lastMove, moveOptions, random);
+      this.lastMove = move;
+      this.startMove(move.axis, move.layer, move.dir, move.turnAmount);
     }
   }
 
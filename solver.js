@@ -0,0 +1,505 @@
+/**
+ * Two-phase Rubik's cube solver (after Herbert Kociemba)
+ * Works from a CubeModel's current state, so it doesn't care how the cube got
+ * scrambled, and returns moves in the same { axis, layer, dir, turnAmount } form
+ * that RubiksCube.startMove() takes.
+ *
+ * Phase 1 brings the cube into the subgroup <U, D, R2, L2, F2, B2> (all corner and
+ * edge orientations solved, middle-slice edges in the middle slice), phase 2 solves
+ * it using only those moves. Move and pruning tables are built on first use
+ * (roughly a second), after which a solve takes a few milliseconds.
+ *
+ * Usage:
+ *   import { solveCube } from './solver.js';
+ *   const moves = solveCube(cube.model);
+ */
+
+// --- Cubie level representation ---
+// Corners: URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB
+// Edges:   UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR
+
+const N_MOVES = 18; // 6 faces (U, R, F, D, L, B) * (quarter, half, inverse quarter)
+
+// Phase 2 only allows quarter turns of U and D
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+// Basic face turns as "replaced by" permutations plus orientation changes
+const BASIC_MOVES = [
+  { // U
+    cp: [3, 0, 1, 2, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // R
+    cp: [4, 1, 2, 0, 7, 5, 6, 3], co: [2, 0, 0, 1, 1, 0, 0, 2],
+    ep: [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // F
+    cp: [1, 5, 2, 3, 0, 4, 6, 7], co: [1, 2, 0, 0, 2, 1, 0, 0],
+    ep: [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], eo: [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0]
+  },
+  { // D
+    cp: [0, 1, 2, 3, 5, 6, 7, 4], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // L
+    cp: [0, 2, 6, 3, 4, 1, 5, 7], co: [0, 1, 2, 0, 0, 2, 1, 0],
+    ep: [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  { // B
+    cp: [0, 1, 3, 7, 4, 5, 2, 6], co: [0, 0, 1, 2, 0, 0, 2, 1],
+    ep: [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], eo: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1]
+  }
+];
+
+// Internal move for a clockwise quarter turn of each face, in U R F D L B order
+const FACE_TO_MOVE = [
+  { axis: 'y', layer: 2, dir: -1 }, // U
+  { axis: 'x', layer: 2, dir: -1 }, // R
+  { axis: 'z', layer: 2, dir: -1 }, // F
+  { axis: 'y', layer: 0, dir: 1 },  // D
+  { axis: 'x', layer: 0, dir: 1 },  // L
+  { axis: 'z', layer: 0, dir: 1 }   // B
+];
+
+function solvedCubie() {
+  return {
+    cp: [0, 1, 2, 3, 4, 5, 6, 7], co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  };
+}
+
+// a * b: apply b after a
+function multiply(a, b) {
+  const result = { cp: [], co: [], ep: [], eo: [] };
+  for (let i = 0; i < 8; i++) {
+    result.cp[i] = a.cp[b.cp[i]];
+    result.co[i] = (a.co[b.cp[i]] + b.co[i]) % 3;
+  }
+  for (let i = 0; i < 12; i++) {
+    result.ep[i] = a.ep[b.ep[i]];
+    result.eo[i] = (a.eo[b.ep[i]] + b.eo[i]) % 2;
+  }
+  return result;
+}
+
+// --- Coordinates ---
+
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = result * (n - i) / (i + 1);
+  }
+  return Math.round(result);
+}
+
+function getTwist(c) {
+  let twist = 0;
+  for (let i = 0; i < 7; i++) twist = twist * 3 + c.co[i];
+  return twist;
+}
+
+function setTwist(c, twist) {
+  let sum = 0;
+  for (let i = 6; i >= 0; i--) {
+    c.co[i] = twist % 3;
+    sum += c.co[i];
+    twist = Math.floor(twist / 3);
+  }
+  c.co[7] = (3 - sum % 3) % 3;
+}
+
+function getFlip(c) {
+  let flip = 0;
+  for (let i = 0; i < 11; i++) flip = flip * 2 + c.eo[i];
+  return flip;
+}
+
+function setFlip(c, flip) {
+  let sum = 0;
+  for (let i = 10; i >= 0; i--) {
+    c.eo[i] = flip % 2;
+    sum += c.eo[i];
+    flip = Math.floor(flip / 2);
+  }
+  c.eo[11] = (2 - sum % 2) % 2;
+}
+
+// Which 4 of the 12 edge positions hold the middle-slice edges (FR, FL, BL, BR) - 0 when solved
+function getSlice(c) {
+  let slice = 0;
+  let found = 0;
+  for (let j = 11; j >= 0; j--) {
+    if (c.ep[j] >= 8) {
+      slice += binomial(11 - j, found + 1);
+      found++;
+    }
+  }
+  return slice;
+}
+
+function setSlice(c, slice) {
+  const sliceEdges = [8, 9, 10, 11];
+  const otherEdges = [0, 1, 2, 3, 4, 5, 6, 7];
+  c.ep.fill(-1);
+  let found = 4;
+  for (let j = 0; j < 12; j++) {
+    if (slice - binomial(11 - j, found) >= 0) {
+      c.ep[j] = sliceEdges[4 - found];
+      slice -= binomial(11 - j, found);
+      found--;
+    }
+  }
+  let k = 0;
+  for (let j = 0; j < 12; j++) {
+    if (c.ep[j] === -1) c.ep[j] = otherEdges[k++];
+  }
+}
+
+// Lehmer code of a permutation
+function getPermutation(perm, length) {
+  let index = 0;
+  for (let i = 0; i < length; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < length; j++) {
+      if (perm[j] < perm[i]) smaller++;
+    }
+    index = index * (length - i) + smaller;
+  }
+  return index;
+}
+
+function setPermutation(perm, index, length, offset = 0) {
+  const digits = [];
+  for (let i = length - 1; i >= 0; i--) {
+    digits[i] = index % (length - i);
+    index = Math.floor(index / (length - i));
+  }
+  const remaining = [];
+  for (let i = 0; i < length; i++) remaining.push(i + offset);
+  for (let i = 0; i < length; i++) {
+    perm[i + offset] = remaining.splice(digits[i], 1)[0];
+  }
+}
+
+const getCornerPerm = c => getPermutation(c.cp, 8);
+const setCornerPerm = (c, index) => setPermutation(c.cp, index, 8);
+const getEdgePerm = c => getPermutation(c.ep, 8); // UD edges, only valid in phase 2
+const setEdgePerm = (c, index) => setPermutation(c.ep, index, 8);
+const getSlicePerm = c => getPermutation(c.ep.slice(8).map(e => e - 8), 4);
+const setSlicePerm = (c, index) => setPermutation(c.ep, index, 4, 8);
+
+// --- Tables (built lazily) ---
+
+let tables = null;
+
+function buildMoveTable(size, setCoord, getCoord, allowedMoves = null) {
+  const table = new Uint16Array(size * N_MOVES);
+  for (let coord = 0; coord < size; coord++) {
+    const cube = solvedCubie();
+    setCoord(cube, coord);
+    for (let face = 0; face < 6; face++) {
+      let moved = cube;
+      for (let power = 0; power < 3; power++) {
+        moved = multiply(moved, BASIC_MOVES[face]);
+        const move = face * 3 + power;
+        if (!allowedMoves || allowedMoves.includes(move)) {
+          table[coord * N_MOVES + move] = getCoord(moved);
+        }
+      }
+    }
+  }
+  return table;
+}
+
+// Breadth-first distance to solved over two coordinates combined
+function buildPruningTable(sizeA, moveTableA, sizeB, moveTableB, moves) {
+  const table = new Int8Array(sizeA * sizeB).fill(-1);
+  const queue = new Uint32Array(sizeA * sizeB);
+  let head = 0;
+  let tail = 0;
+  table[0] = 0;
+  queue[tail++] = 0;
+
+  while (head < tail) {
+    const index = queue[head++];
+    const a = Math.floor(index / sizeB);
+    const b = index % sizeB;
+    const depth = table[index];
+    for (const move of moves) {
+      const next = moveTableA[a * N_MOVES + move] * sizeB + moveTableB[b * N_MOVES + move];
+      if (table[next] === -1) {
+        table[next] = depth + 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+  return table;
+}
+
+function initTables() {
+  if (tables) return tables;
+
+  const allMoves = [];
+  for (let m = 0; m < N_MOVES; m++) allMoves.push(m);
+
+  const twistMove = buildMoveTable(2187, setTwist, getTwist);
+  const flipMove = buildMoveTable(2048, setFlip, getFlip);
+  const sliceMove = buildMoveTable(495, setSlice, getSlice);
+  const cornerPermMove = buildMoveTable(40320, setCornerPerm, getCornerPerm, PHASE2_MOVES);
+  const edgePermMove = buildMoveTable(40320, setEdgePerm, getEdgePerm, PHASE2_MOVES);
+  const slicePermMove = buildMoveTable(24, setSlicePerm, getSlicePerm, PHASE2_MOVES);
+
+  tables = {
+    twistMove,
+    flipMove,
+    sliceMove,
+    cornerPermMove,
+    edgePermMove,
+    slicePermMove,
+    twistSlicePrune: buildPruningTable(2187, twistMove, 495, sliceMove, allMoves),
+    flipSlicePrune: buildPruningTable(2048, flipMove, 495, sliceMove, allMoves),
+    cornerSlicePrune: buildPruningTable(40320, cornerPermMove, 24, slicePermMove, PHASE2_MOVES),
+    edgeSlicePrune: buildPruningTable(40320, edgePermMove, 24, slicePermMove, PHASE2_MOVES)
+  };
+  return tables;
+}
+
+// --- Search ---
+
+// Skip a move on the same face as the previous one, and fix the order of
+// moves on opposite faces (U D but never D U) to avoid duplicate sequences
+function isRedundantFace(face, prevFace) {
+  if (prevFace < 0) return false;
+  return face === prevFace || face === prevFace - 3;
+}
+
+function searchPhase2(t, cornerPerm, edgePerm, slicePerm, depth, prevFace, path) {
+  if (depth === 0) {
+    return cornerPerm === 0 && edgePerm === 0 && slicePerm === 0;
+  }
+  const estimate = Math.max(
+    t.cornerSlicePrune[cornerPerm * 24 + slicePerm],
+    t.edgeSlicePrune[edgePerm * 24 + slicePerm]
+  );
+  if (estimate > depth) return false;
+
+  for (const move of PHASE2_MOVES) {
+    const face = Math.floor(move / 3);
+    if (isRedundantFace(face, prevFace)) continue;
+    path.push(move);
+    if (searchPhase2(
+      t,
+      t.cornerPermMove[cornerPerm * N_MOVES + move],
+      t.edgePermMove[edgePerm * N_MOVES + move],
+      t.slicePermMove[slicePerm * N_MOVES + move],
+      depth - 1, face, path
+    )) {
+      return true;
+    }
+    path.pop();
+  }
+  return false;
+}
+
+function startPhase2(t, cube, phase1, maxLength) {
+  // Phase 2 coordinates aren't defined mid-phase-1, so replay phase 1 on the cubie cube
+  let c = cube;
+  phase1.forEach(move => {
+    const face = Math.floor(move / 3);
+    for (let i = 0; i <= move % 3; i++) c = multiply(c, BASIC_MOVES[face]);
+  });
+
+  const cornerPerm = getCornerPerm(c);
+  const edgePerm = getEdgePerm(c);
+  const slicePerm = getSlicePerm(c);
+  const prevFace = phase1.length > 0 ? Math.floor(phase1[phase1.length - 1] / 3) : -1;
+
+  for (let depth = 0; depth <= maxLength - phase1.length; depth++) {
+    const path = [];
+    if (searchPhase2(t, cornerPerm, edgePerm, slicePerm, depth, prevFace, path)) {
+      return phase1.concat(path);
+    }
+  }
+  return null;
+}
+
+function searchPhase1(t, cube, twist, flip, slice, depth, prevFace, path, maxLength) {
+  if (depth === 0) {
+    if (twist !== 0 || flip !== 0 || slice !== 0) return null;
+    // A phase 1 ending in a phase 2 move was already tried at a shorter depth
+    if (path.length > 0 && PHASE2_MOVES.includes(path[path.length - 1])) {
+      return null;
+    }
+    return startPhase2(t, cube, path, maxLength);
+  }
+  const estimate = Math.max(
+    t.twistSlicePrune[twist * 495 + slice],
+    t.flipSlicePrune[flip * 495 + slice]
+  );
+  if (estimate > depth) return null;
+
+  for (let move = 0; move < N_MOVES; move++) {
+    const face = Math.floor(move / 3);
+    if (isRedundantFace(face, prevFace)) continue;
+    path.push(move);
+    const solution = searchPhase1(
+      t, cube,
+      t.twistMove[twist * N_MOVES + move],
+      t.flipMove[flip * N_MOVES + move],
+      t.sliceMove[slice * N_MOVES + move],
+      depth - 1, face, path, maxLength
+    );
+    if (solution) return solution;
+    path.pop();
+  }
+  return null;
+}
+
+function solveCubie(cube, maxLength) {
+  const t = initTables();
+  const twist = getTwist(cube);
+  const flip = getFlip(cube);
+  const slice = getSlice(cube);
+
+  for (let depth = 0; depth <= Math.min(maxLength, 12); depth++) {
+    const solution = searchPhase1(t, cube, twist, flip, slice, depth, -1, [], maxLength);
+    if (solution) return solution;
+  }
+  return null;
+}
+
+// --- CubeModel conversion ---
+
+// Facelet positions of each corner / edge, indexing the URFDLB facelet string
+// (U1..U9 = 0..8, R = 9..17, F = 18..26, D = 27..35, L = 36..44, B = 45..53)
+const CORNER_FACELETS = [
+  [8, 9, 20], [6, 18, 38], [0, 36, 47], [2, 45, 11],
+  [29, 26, 15], [27, 44, 24], [33, 53, 42], [35, 17, 51]
+];
+const CORNER_COLORS = [
+  ['U', 'R', 'F'], ['U', 'F', 'L'], ['U', 'L', 'B'], ['U', 'B', 'R'],
+  ['D', 'F', 'R'], ['D', 'L', 'F'], ['D', 'B', 'L'], ['D', 'R', 'B']
+];
+const EDGE_FACELETS = [
+  [5, 10], [7, 19], [3, 37], [1, 46], [32, 16], [28, 25],
+  [30, 43], [34, 52], [23, 12], [21, 41], [50, 39], [48, 14]
+];
+const EDGE_COLORS = [
+  ['U', 'R'], ['U', 'F'], ['U', 'L'], ['U', 'B'], ['D', 'R'], ['D', 'F'],
+  ['D', 'L'], ['D', 'B'], ['F', 'R'], ['F', 'L'], ['B', 'L'], ['B', 'R']
+];
+
+const FACE_LETTERS = { top: 'U', right: 'R', front: 'F', bottom: 'D', left: 'L', back: 'B' };
+const URFDLB = ['top', 'right', 'front', 'bottom', 'left', 'back'];
+
+function cubieFromModel(model) {
+  const facelets = model.getFacelets();
+  const f = [];
+  URFDLB.forEach(face => {
+    facelets[face].forEach(color => f.push(FACE_LETTERS[color]));
+  });
+
+  const cube = solvedCubie();
+  for (let i = 0; i < 8; i++) {
+    let ori = 0;
+    while (f[CORNER_FACELETS[i][ori]] !== 'U' && f[CORNER_FACELETS[i][ori]] !== 'D') ori++;
+    const color1 = f[CORNER_FACELETS[i][(ori + 1) % 3]];
+    const color2 = f[CORNER_FACELETS[i][(ori + 2) % 3]];
+    for (let j = 0; j < 8; j++) {
+      if (color1 === CORNER_COLORS[j][1] && color2 === CORNER_COLORS[j][2]) {
+        cube.cp[i] = j;
+        cube.co[i] = ori;
+        break;
+      }
+    }
+  }
+  for (let i = 0; i < 12; i++) {
+    for (let j = 0; j < 12; j++) {
+      if (f[EDGE_FACELETS[i][0]] === EDGE_COLORS[j][0] && f[EDGE_FACELETS[i][1]] === EDGE_COLORS[j][1]) {
+        cube.ep[i] = j;
+        cube.eo[i] = 0;
+        break;
+      }
+      if (f[EDGE_FACELETS[i][0]] === EDGE_COLORS[j][1] && f[EDGE_FACELETS[i][1]] === EDGE_COLORS[j][0]) {
+        cube.ep[i] = j;
+        cube.eo[i] = 1;
+        break;
+      }
+    }
+  }
+  return cube;
+}
+
+function centersHome(model) {
+  return model.cubies.every(cubie => {
+    if (cubie.stickers.length !== 1) return true;
+    const { normal } = cubie.stickers[0];
+    const { x, y, z } = cubie.home;
+    // A centre is home when its sticker still points out of the face it started on
+    return normal[0] === x - 1 && normal[1] === y - 1 && normal[2] === z - 1;
+  });
+}
+
+// Middle-slice turns that put the centres back where they started
+// (slice moves are the only ones that move centres, at most two are ever needed)
+function findCenterFix(model) {
+  if (centersHome(model)) return [];
+
+  const sliceMoves = [];
+  ['x', 'y', 'z'].forEach(axis => {
+    sliceMoves.push({ axis, layer: 1, dir: 1, turnAmount: 1 });
+    sliceMoves.push({ axis, layer: 1, dir: -1, turnAmount: 1 });
+    sliceMoves.push({ axis, layer: 1, dir: 1, turnAmount: 2 });
+  });
+
+  for (const first of sliceMoves) {
+    if (centersHome(model.clone().applyMove(first))) return [first];
+  }
+  for (const first of sliceMoves) {
+    for (const second of sliceMoves) {
+      if (second.axis === first.axis) continue;
+      if (centersHome(model.clone().applyMoves([first, second]))) return [first, second];
+    }
+  }
+  return [];
+}
+
+/**
+ * Solve a 3x3 cube from its current state
+ * @param {CubeModel} model - Cube to solve (left untouched)
+ * @param {Object} options
+ * @param {number} options.maxLength - Stop at the first solution this short (default 24)
+ * @returns {Array} - Moves as { axis, layer, dir, turnAmount }, empty if already solved
+ */
+export function solveCube(model, options = {}) {
+  const { maxLength = 24 } = options;
+
+  if (model.order !== 3) {
+    throw new Error(`solveCube: only 3x3 cubes are supported (got ${model.order}x${model.order})`);
+  }
+
+  const centerFix = findCenterFix(model);
+  const aligned = model.clone().applyMoves(centerFix);
+  const cube = cubieFromModel(aligned);
+
+  // Almost every state has a solution well under 24 moves, so relaxing the limit
+  // only matters for the rare slow case
+  const solution = solveCubie(cube, maxLength) || solveCubie(cube, 30);
+
+  return centerFix.concat(solution.map(move => {
+    const { axis, layer, dir } = FACE_TO_MOVE[Math.floor(move / 3)];
+    const power = move % 3; // 0 = quarter, 1 = half, 2 = inverse quarter
+    return {
+      axis,
+      layer,
+      dir: power === 2 ? -dir : dir,
+      turnAmount: power === 1 ? 2 : 1
+    };
+  }));
+}
+
+// Build the tables ahead of the first solve (e.g. while the page is idle)
+export function prepareSolver() {
+  initTables();
+}
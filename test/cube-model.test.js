@@ -0,0 +1,127 @@
+// Headless model: moves, solved detection and the reduced move lists solving by
+// reversal relies on
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubeModel, appendReduced, sameLayers } from '../cube-model.js';
+import { createRandom } from '../random.js';
+
+const AXES = ['x', 'y', 'z'];
+
+// A random single-layer quarter or half turn
+function randomMove(random, order) {
+  return {
+    axis: AXES[Math.floor(random() * 3)],
+    layer: Math.floor(random() * order),
+    dir: random() < 0.5 ? 1 : -1,
+    turnAmount: random() < 0.25 ? 2 : 1
+  };
+}
+
+function inverse(moves) {
+  return moves.slice().reverse().map(move => ({ ...move, dir: -move.dir }));
+}
+
+test('a new cube is solved, at every order', () => {
+  for (let order = 2; order <= 7; order++) {
+    assert.ok(new CubeModel(order).isSolved(), `${order}x${order}`);
+  }
+});
+
+test('a face turn unsolves the cube and four of them solve it again', () => {
+  const model = new CubeModel();
+  const move = { axis: 'x', layer: 2, dir: -1, turnAmount: 1 };
+  model.applyMove(move);
+  assert.equal(model.isSolved(), false);
+  model.applyMoves([move, move, move]);
+  assert.ok(model.isSolved());
+});
+
+test('a half turn is two quarter turns', () => {
+  const half = new CubeModel().applyMove({ axis: 'y', layer: 0, dir: 1, turnAmount: 2 });
+  const quarters = new CubeModel().applyMoves([
+    { axis: 'y', layer: 0, dir: 1, turnAmount: 1 },
+    { axis: 'y', layer: 0, dir: 1, turnAmount: 1 }
+  ]);
+  assert.deepEqual(half.getFacelets(), quarters.getFacelets());
+});
+
+test('whole-cube rotations leave the cube solved', () => {
+  for (let order = 2; order <= 5; order++) {
+    const all = Array.from({ length: order }, (_, i) => i);
+    const model = new CubeModel(order);
+    AXES.forEach(axis => model.applyMove({ axis, layer: all, dir: 1, turnAmount: 1 }));
+    assert.ok(model.isSolved(), `${order}x${order}`);
+  }
+});
+
+test('undoing a scramble solves it, at every order', () => {
+  const random = createRandom(7);
+  for (let order = 2; order <= 7; order++) {
+    const scramble = Array.from({ length: 40 }, () => randomMove(random, order));
+    const model = new CubeModel(order).applyMoves(scramble);
+    assert.equal(model.isSolved(), false, `${order}x${order} scrambled`);
+    model.applyMoves(inverse(scramble));
+    assert.ok(model.isSolved(), `${order}x${order} undone`);
+  }
+});
+
+test('getFacelets gives order * order stickers of each colour', () => {
+  const model = new CubeModel(4).applyMoves([
+    { axis: 'x', layer: 1, dir: 1, turnAmount: 1 },
+    { axis: 'z', layer: [2, 3], dir: -1, turnAmount: 1 }
+  ]);
+  const counts = {};
+  Object.values(model.getFacelets()).flat().forEach(color => {
+    counts[color] = (counts[color] || 0) + 1;
+  });
+  assert.deepEqual(Object.values(counts), [16, 16, 16, 16, 16, 16]);
+});
+
+test('clones move independently', () => {
+  const model = new CubeModel();
+  const copy = model.clone().applyMove({ axis: 'z', layer: 0, dir: 1, turnAmount: 1 });
+  assert.ok(model.isSolved());
+  assert.equal(copy.isSolved(), false);
+});
+
+test('sameLayers ignores order and the single-layer shorthand', () => {
+  assert.ok(sameLayers(2, [2]));
+  assert.ok(sameLayers([0, 1], [1, 0]));
+  assert.equal(sameLayers([0, 1], [0]), false);
+});
+
+test('appendReduced merges and cancels turns of the same layers', () => {
+  const moves = [];
+  appendReduced(moves, { axis: 'x', layer: 2, dir: 1, turnAmount: 1 });
+  appendReduced(moves, { axis: 'x', layer: 0, dir: 1, turnAmount: 1 });
+  appendReduced(moves, { axis: 'x', layer: 2, dir: -1, turnAmount: 1 });
+  assert.deepEqual(moves, [{ axis: 'x', layer: 0, dir: 1, turnAmount: 1 }]);
+
+  appendReduced(moves, { axis: 'x', layer: [0], dir: 1, turnAmount: 1 });
+  assert.deepEqual(moves, [{ axis: 'x', layer: [0], dir: 1, turnAmount: 2 }]);
+
+  // A turn about another axis in between stops the merge
+  appendReduced(moves, { axis: 'y', layer: 1, dir: 1, turnAmount: 1 });
+  appendReduced(moves, { axis: 'x', layer: 0, dir: 1, turnAmount: 2 });
+  assert.equal(moves.length, 3);
+});
+
+test('a reduced list does what the moves it was built from do', () => {
+  const random = createRandom(11);
+  for (let order = 2; order <= 5; order++) {
+    const moves = Array.from({ length: 300 }, () => {
+      // Mostly one axis, so plenty of them fold together
+      const move = randomMove(random, order);
+      return random() < 0.7 ? { ...move, axis: 'x' } : move;
+    });
+    const reduced = [];
+    moves.forEach(move => appendReduced(reduced, move));
+    assert.ok(reduced.length < moves.length, `${order}x${order} got shorter`);
+    assert.deepEqual(
+      new CubeModel(order).applyMoves(reduced).getFacelets(),
+      new CubeModel(order).applyMoves(moves).getFacelets(),
+      `${order}x${order}`
+    );
+  }
+});
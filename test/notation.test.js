@@ -0,0 +1,70 @@
+// Singmaster notation: parsing, formatting and the two agreeing
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMove, parseNotation, formatMoves, toMoves } from '../notation.js';
+import { CubeModel } from '../cube-model.js';
+
+test('face turns parse to the layer on that face', () => {
+  assert.deepEqual(parseMove("R'"), { axis: 'x', layer: 2, dir: 1, turnAmount: 1 });
+  assert.deepEqual(parseMove('L'), { axis: 'x', layer: 0, dir: 1, turnAmount: 1 });
+  assert.equal(parseMove('U2').turnAmount, 2);
+  assert.equal(parseMove('R', 5).layer, 4);
+});
+
+test('wide moves, inner layers and rotations turn several layers', () => {
+  assert.deepEqual(parseMove('Rw').layer, [1, 2]);
+  assert.deepEqual(parseMove('r'), parseMove('Rw'));
+  assert.deepEqual(parseMove('3Rw', 5).layer, [2, 3, 4]);
+  assert.equal(parseMove('3R', 5).layer, 2);
+  assert.deepEqual(parseMove('x').layer, [0, 1, 2]);
+});
+
+test('sequences format back to the same notation', () => {
+  const sequences = [
+    [3, "R U R' U' F2 D L' B2"],
+    [3, "M E' S2 x y' z2 Rw Lw' Uw2"],
+    [4, "Rw U2 2R 2L' Fw' y"],
+    [5, "3Rw 3Fw' 2U M E2 R"],
+    [7, "3Rw 3Lw 2B' 3D2 x'"]
+  ];
+  sequences.forEach(([order, notation]) => {
+    assert.equal(formatMoves(parseNotation(notation, order), order), notation, `${order}x${order}: ${notation}`);
+  });
+});
+
+test('formatted moves parse back to the same turns', () => {
+  const moves = [
+    { axis: 'x', layer: 4, dir: 1, turnAmount: 1 },
+    { axis: 'y', layer: [0, 1], dir: -1, turnAmount: 1 },
+    { axis: 'z', layer: 2, dir: 1, turnAmount: 2 },
+    { axis: 'x', layer: [0, 1, 2, 3, 4], dir: -1, turnAmount: 1 },
+    { axis: 'y', layer: 1, dir: 1, turnAmount: 1 }
+  ];
+  const reparsed = parseNotation(formatMoves(moves, 5), 5);
+  assert.deepEqual(
+    new CubeModel(5).applyMoves(reparsed).getFacelets(),
+    new CubeModel(5).applyMoves(moves).getFacelets()
+  );
+});
+
+test('a sequence and its parsed moves turn the model alike', () => {
+  // The sexy move six times over is the identity
+  const model = new CubeModel().applyMoves(parseNotation("R U R' U' ".repeat(6)));
+  assert.ok(model.isSolved());
+  assert.equal(new CubeModel().applyMoves(parseNotation("R U R' U'")).isSolved(), false);
+});
+
+test('bad notation throws', () => {
+  assert.throws(() => parseMove('Q'), /^Error: parseMove: unrecognised move "Q"/);
+  assert.throws(() => parseMove('M', 4), /^Error: parseMove: "M" needs a middle layer/);
+  assert.throws(() => parseMove('4R'), /^Error: parseMove: "4R" is out of range/);
+  assert.throws(() => formatMoves([{ axis: 'x', layer: [0, 2], dir: 1, turnAmount: 1 }]), /^Error: formatMove:/);
+});
+
+test('toMoves takes notation or a move list', () => {
+  const moves = parseNotation("R U'");
+  assert.deepEqual(toMoves("R U'"), moves);
+  assert.deepEqual(toMoves(moves), moves);
+  assert.notEqual(toMoves(moves), moves);
+});
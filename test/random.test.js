@@ -0,0 +1,39 @@
+// Seeded random streams: the same seed always plays the same
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, hashSeed } from '../random.js';
+
+function take(random, count) {
+  return Array.from({ length: count }, () => random());
+}
+
+test('the same seed gives the same stream', () => {
+  assert.deepEqual(take(createRandom(42), 100), take(createRandom(42), 100));
+  assert.deepEqual(take(createRandom('show'), 100), take(createRandom('show'), 100));
+});
+
+test('different seeds give different streams', () => {
+  assert.notDeepEqual(take(createRandom(42), 10), take(createRandom(43), 10));
+});
+
+test('numbers fall in [0, 1) and spread across it', () => {
+  const values = take(createRandom(1), 10000);
+  assert.ok(values.every(n => n >= 0 && n < 1));
+  const mean = values.reduce((sum, n) => sum + n, 0) / values.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.02, `mean ${mean}`);
+});
+
+test('hashSeed is stable and tells its parts apart', () => {
+  assert.equal(hashSeed(42, 3, 4), hashSeed(42, 3, 4));
+  assert.notEqual(hashSeed(42, 3, 4), hashSeed(42, 4, 3));
+  assert.notEqual(hashSeed(42, 34), hashSeed(42, 3, 4));
+  const hash = hashSeed('seed', 1);
+  assert.ok(Number.isInteger(hash) && hash >= 0 && hash < 2 ** 32);
+});
+
+test('each cube gets its own reproducible stream', () => {
+  const stream = (row, col) => take(createRandom(hashSeed(7, row, col)), 5);
+  assert.deepEqual(stream(1, 2), stream(1, 2));
+  assert.notDeepEqual(stream(1, 2), stream(2, 1));
+});
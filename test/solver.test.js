@@ -0,0 +1,57 @@
+// Two-phase solver: every scramble it's given should come out solved
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubeModel } from '../cube-model.js';
+import { solveCube, prepareSolver } from '../solver.js';
+import { createRandom } from '../random.js';
+
+const AXES = ['x', 'y', 'z'];
+
+function scramble(random, length, layers = [0, 1, 2]) {
+  const model = new CubeModel();
+  for (let i = 0; i < length; i++) {
+    model.applyMove({
+      axis: AXES[Math.floor(random() * 3)],
+      layer: layers[Math.floor(random() * layers.length)],
+      dir: random() < 0.5 ? 1 : -1,
+      turnAmount: random() < 0.25 ? 2 : 1
+    });
+  }
+  return model;
+}
+
+prepareSolver();
+
+test('a solved cube needs no moves', () => {
+  assert.deepEqual(solveCube(new CubeModel()), []);
+});
+
+test('random face-turn scrambles come out solved', () => {
+  const random = createRandom(2024);
+  for (let i = 0; i < 20; i++) {
+    const model = scramble(random, 30, [0, 2]);
+    const solution = solveCube(model);
+    assert.ok(solution.length <= 30, `scramble ${i}: ${solution.length} moves`);
+    assert.ok(model.clone().applyMoves(solution).isSolved(), `scramble ${i}`);
+  }
+});
+
+test('scrambles with slice moves (centres out of place) come out solved', () => {
+  const random = createRandom(99);
+  for (let i = 0; i < 10; i++) {
+    const model = scramble(random, 30);
+    assert.ok(model.clone().applyMoves(solveCube(model)).isSolved(), `scramble ${i}`);
+  }
+});
+
+test('the cube given is left untouched', () => {
+  const model = scramble(createRandom(5), 20);
+  const before = JSON.stringify(model.getFacelets());
+  solveCube(model);
+  assert.equal(JSON.stringify(model.getFacelets()), before);
+});
+
+test('only 3x3 cubes are supported', () => {
+  assert.throws(() => solveCube(new CubeModel(4)), /^Error: solveCube: only 3x3 cubes/);
+});
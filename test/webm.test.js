@@ -0,0 +1,138 @@
+// WebM writer: read the file back element by element and check what a player would see
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebMWriter } from '../webm.js';
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMESTAMP_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  CODEC_ID: 0x86,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  CLUSTER: 0x1F43B675,
+  CLUSTER_TIMESTAMP: 0xE7,
+  SIMPLE_BLOCK: 0xA3
+};
+const MASTERS = [IDS.EBML, IDS.SEGMENT, IDS.INFO, IDS.TRACKS, IDS.TRACK_ENTRY, IDS.VIDEO, IDS.CLUSTER];
+
+// An EBML number: the leading zero bits say how many more bytes follow
+function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  let value = keepMarker ? first : first & (0xFF >> length);
+  for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+  return { value, length };
+}
+
+// Elements from start to end, with master elements' children read too
+function readElements(bytes, start = 0, end = bytes.length) {
+  const elements = [];
+  for (let offset = start; offset < end;) {
+    const id = readVint(bytes, offset, true);
+    const size = readVint(bytes, offset + id.length, false);
+    const dataStart = offset + id.length + size.length;
+    const data = bytes.subarray(dataStart, dataStart + size.value);
+    assert.ok(dataStart + size.value <= end, `element 0x${id.value.toString(16)} runs past its parent`);
+    elements.push({
+      id: id.value,
+      data,
+      children: MASTERS.includes(id.value) ? readElements(bytes, dataStart, dataStart + size.value) : null
+    });
+    offset = dataStart + size.value;
+  }
+  return elements;
+}
+
+const find = (elements, id) => elements.find(element => element.id === id);
+const findAll = (elements, id) => elements.filter(element => element.id === id);
+const uint = data => data.reduce((value, byte) => value * 256 + byte, 0);
+const text = data => new TextDecoder().decode(data);
+
+// Stand-in for an EncodedVideoChunk
+function chunk(frame, fps, type, size = 10) {
+  const data = new Uint8Array(size).fill(frame % 256);
+  return {
+    timestamp: Math.round(frame * 1e6 / fps),
+    type,
+    byteLength: size,
+    copyTo: target => target.set(data)
+  };
+}
+
+async function write(frames, fps, keyEvery) {
+  const writer = new WebMWriter({ codec: 'V_VP9', width: 640, height: 360, fps });
+  for (let frame = 0; frame < frames; frame++) {
+    writer.addFrame(chunk(frame, fps, frame % keyEvery === 0 ? 'key' : 'delta', 10 + frame));
+  }
+  const blob = writer.finish();
+  assert.equal(blob.type, 'video/webm');
+  return readElements(new Uint8Array(await blob.arrayBuffer()));
+}
+
+test('the file is an EBML header and one segment that fills the rest', async () => {
+  const elements = await write(3, 30, 30);
+  assert.deepEqual(elements.map(element => element.id), [IDS.EBML, IDS.SEGMENT]);
+  assert.equal(text(find(elements[0].children, IDS.DOC_TYPE).data), 'webm');
+});
+
+test('the track describes the video', async () => {
+  const segment = find(await write(3, 30, 30), IDS.SEGMENT).children;
+  const track = find(find(segment, IDS.TRACKS).children, IDS.TRACK_ENTRY).children;
+  assert.equal(text(find(track, IDS.CODEC_ID).data), 'V_VP9');
+  const video = find(track, IDS.VIDEO).children;
+  assert.equal(uint(find(video, IDS.PIXEL_WIDTH).data), 640);
+  assert.equal(uint(find(video, IDS.PIXEL_HEIGHT).data), 360);
+});
+
+test('the duration covers every frame, in milliseconds', async () => {
+  const info = find(find(await write(150, 30, 60), IDS.SEGMENT).children, IDS.INFO).children;
+  assert.equal(uint(find(info, IDS.TIMESTAMP_SCALE).data), 1000000);
+  const duration = find(info, IDS.DURATION).data;
+  // Frame timestamps are whole microseconds, so within a microsecond of 5s
+  assert.ok(Math.abs(new DataView(duration.buffer, duration.byteOffset, 8).getFloat64(0) - 5000) < 0.001);
+});
+
+test('clusters start at keyframes and every frame keeps its time and bytes', async () => {
+  const fps = 60;
+  const segment = find(await write(300, fps, 120), IDS.SEGMENT).children;
+  const clusters = findAll(segment, IDS.CLUSTER);
+  assert.equal(clusters.length, 3);
+
+  let frame = 0;
+  clusters.forEach(cluster => {
+    const clusterTime = uint(find(cluster.children, IDS.CLUSTER_TIMESTAMP).data);
+    findAll(cluster.children, IDS.SIMPLE_BLOCK).forEach((block, i) => {
+      const { data } = block;
+      assert.equal(data[0], 0x81, 'track 1');
+      const offset = new DataView(data.buffer, data.byteOffset + 1, 2).getInt16(0);
+      assert.equal(clusterTime + offset, Math.round(frame * 1000 / fps), `frame ${frame} time`);
+      assert.equal(Boolean(data[3] & 0x80), i === 0, `frame ${frame} keyframe flag`);
+      assert.equal(data.length - 4, 10 + frame, `frame ${frame} size`);
+      assert.ok(data.subarray(4).every(byte => byte === frame % 256), `frame ${frame} bytes`);
+      frame++;
+    });
+  });
+  assert.equal(frame, 300);
+});
+
+test('a long run without keyframes still fits each block offset in 16 bits', async () => {
+  const fps = 10;
+  const segment = find(await write(400, fps, Infinity), IDS.SEGMENT).children;
+  const clusters = findAll(segment, IDS.CLUSTER);
+  assert.ok(clusters.length > 1);
+  clusters.forEach(cluster => {
+    findAll(cluster.children, IDS.SIMPLE_BLOCK).forEach(({ data }) => {
+      const offset = new DataView(data.buffer, data.byteOffset + 1, 2).getInt16(0);
+      assert.ok(offset >= 0 && offset <= 32767);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Shareable settings in the URL hash
+ * e.g. index.html#speed=2&sync=1&colorScheme=neon&seed=42
+ *
+ * Only values that differ from the defaults are written, so links stay short.
+ * Each value is read back with the type of its default (numbers, booleans as
+ * 1/0, strings); settings that default to null (the seed) keep numbers as
+ * numbers and anything else as text.
+ *
+ * A custom colour scheme travels with its colours in a `palette` entry: seven
+ * hex colours in right, left, top, bottom, front, back, internal order, e.g.
+ * #colorScheme=custom&palette=c41e3a-ff5800-ffd500-ffffff-0051ba-009e60-000000
+ *
+ * Usage:
+ *   import { readUrlSettings, writeUrlSettings } from './url-state.js';
+ *   const restored = readUrlSettings(window.location.hash, DEFAULT_SETTINGS);
+ *   const hash = writeUrlSettings(settings, DEFAULT_SETTINGS); // "speed=2&seed=42"
+ */
+
+import { FACES } from './cube-model.js';
+
+// Order of the colours in a palette entry
+const PALETTE_SLOTS = [...FACES, 'internal'];
+
+// Turn one hash value back into the type of its default
+function decodeValue(text, defaultValue) {
+  if (typeof defaultValue === 'number') {
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  if (typeof defaultValue === 'boolean') {
+    if (text === '1' || text === 'true') return true;
+    if (text === '0' || text === 'false') return false;
+    return undefined;
+  }
+  if (defaultValue === null && /^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+  return text;
+}
+
+function encodeValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+}
+
+/**
+ * Settings stored in a URL hash
+ * @param {string} hash - e.g. window.location.hash (with or without the leading #)
+ * @param {Object} defaults - Default settings, which also decide the known keys and their types
+ * @returns {Object} - Only the settings found in the hash
+ */
+export function readUrlSettings(hash, defaults) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const settings = {};
+  params.forEach((text, key) => {
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) return;
+    const value = decodeValue(text, defaults[key]);
+    if (value !== undefined) settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Colour scheme stored in a URL hash's palette entry
+ * @param {string} hash
+ * @returns {Object|null} - { right: '#c41e3a', ... }, or null if there's no valid palette
+ */
+export function readUrlPalette(hash) {
+  const text = new URLSearchParams(hash.replace(/^#/, '')).get('palette');
+  if (!text) return null;
+  const hexes = text.split('-');
+  if (hexes.length !== PALETTE_SLOTS.length || !hexes.every(hex => /^[0-9a-f]{6}$/i.test(hex))) {
+    return null;
+  }
+  const palette = {};
+  PALETTE_SLOTS.forEach((slot, i) => {
+    palette[slot] = `#${hexes[i]}`;
+  });
+  return palette;
+}
+
+/**
+ * URL hash (without the #) for every setting that differs from its default
+ * @param {Object} settings
+ * @param {Object} defaults
+ * @param {Object|null} palette - Colours of a custom scheme to include, as "#rrggbb" strings
+ * @returns {string} - e.g. "speed=2&sync=1", or '' when everything is default
+ */
+export function writeUrlSettings(settings, defaults, palette = null) {
+  const params = new URLSearchParams();
+  Object.keys(defaults).forEach(key => {
+    const value = settings[key];
+    if (value === undefined || value === null || value === defaults[key]) return;
+    params.set(key, encodeValue(value));
+  });
+  if (palette) {
+    params.set('palette', PALETTE_SLOTS.map(slot => palette[slot].replace(/^#/, '')).join('-'));
+  }
+  return params.toString();
+}
@@ -0,0 +1,65 @@
+/**
+ * Spatial wave timing
+ * In a wave mode the grid starts a new wave every beat (one move's duration plus the
+ * move delay), and each cube makes its move when the wave front reaches it. This
+ * module works out how long after the start of a beat that is for every cube.
+ *
+ * Modes:
+ *   ripple        Rings spreading from the middle of the view (or the cursor)
+ *   diagonal      Sweeps along the isometric axis running down-left, from the top left
+ *   rows          Row by row, top to bottom
+ *   columns       Column by column (the staircase's slanted columns), left to right
+ *   checkerboard  Alternate cubes move half a beat apart
+ *
+ * Reverse runs each wave the other way (ripples move inwards).
+ *
+ * Usage:
+ *   import { waveDelays } from './waves.js';
+ *   const delays = waveDelays('ripple', cubes, { speed: 8, period: 900 }); // ms per cube
+ */
+
+export const WAVE_MODES = ['off', 'ripple', 'diagonal', 'rows', 'columns', 'checkerboard'];
+
+// How far (in cubes) each cube is from where the wave starts
+function wavePhases(mode, cubes, origin, spacing) {
+  switch (mode) {
+    case 'ripple':
+      return cubes.map(c => Math.hypot(c.x - origin.x, c.y - origin.y) / spacing);
+    case 'diagonal':
+      return cubes.map(c => c.row + c.col);
+    case 'rows':
+      return cubes.map(c => c.row);
+    case 'columns':
+      return cubes.map(c => c.col);
+    default:
+      throw new Error(`waveDelays: unknown wave mode "${mode}"`);
+  }
+}
+
+/**
+ * Delay after the start of a beat before each cube moves
+ * @param {string} mode - One of WAVE_MODES (not 'off')
+ * @param {Array} cubes - [{ row, col, x, y }] with x/y the cube's position in world units
+ * @param {Object} options
+ * @param {number} options.speed - Cubes per second the wave front travels
+ * @param {number} options.period - Beat length in ms (checkerboard halves split it)
+ * @param {boolean} options.reverse - Run the wave the other way
+ * @param {Object} options.origin - { x, y } ripple centre in world units (default: 0, 0)
+ * @param {number} options.spacing - World units per cube, for ripple distances (default: 1)
+ * @returns {Array<number>} - Milliseconds per cube, 0 for the first to move
+ */
+export function waveDelays(mode, cubes, { speed, period, reverse = false, origin = { x: 0, y: 0 }, spacing = 1 }) {
+  if (cubes.length === 0) return [];
+
+  if (mode === 'checkerboard') {
+    return cubes.map(c => {
+      const odd = ((c.row + c.col) % 2 + 2) % 2 === 1;
+      return odd !== reverse ? period / 2 : 0;
+    });
+  }
+
+  const phases = wavePhases(mode, cubes, origin, spacing);
+  const min = Math.min(...phases);
+  const max = Math.max(...phases);
+  return phases.map(phase => ((reverse ? max - phase : phase - min) / speed) * 1000);
+}
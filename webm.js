@@ -0,0 +1,189 @@
+/**
+ * Minimal WebM writer
+ * Wraps encoded video frames (WebCodecs EncodedVideoChunks) in a WebM file: one video
+ * track, a cluster per keyframe, every frame a SimpleBlock at its own timestamp. Just
+ * enough for export.js - no audio, no cues (players find their way by the clusters).
+ *
+ * WebM is EBML, a binary XML of sorts: every element is an ID, the size of its content,
+ * then the content (numbers, text, bytes or more elements). The whole file is worked out
+ * in finish(), so every size is known and written exactly.
+ *
+ * Usage:
+ *   import { WebMWriter } from './webm.js';
+ *   const writer = new WebMWriter({ codec: 'V_VP9', width: 1920, height: 1080, fps: 60 });
+ *   // for each chunk from VideoEncoder's output callback
+ *   writer.addFrame(chunk);
+ *   const blob = writer.finish();
+ */
+
+// Element IDs (matroska.org/technical/elements.html)
+const EBML = 0x1A45DFA3;
+const EBML_VERSION = 0x4286;
+const EBML_READ_VERSION = 0x42F7;
+const EBML_MAX_ID_LENGTH = 0x42F2;
+const EBML_MAX_SIZE_LENGTH = 0x42F3;
+const DOC_TYPE = 0x4282;
+const DOC_TYPE_VERSION = 0x4287;
+const DOC_TYPE_READ_VERSION = 0x4285;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549A966;
+const TIMESTAMP_SCALE = 0x2AD7B1;
+const DURATION = 0x4489;
+const MUXING_APP = 0x4D80;
+const WRITING_APP = 0x5741;
+const TRACKS = 0x1654AE6B;
+const TRACK_ENTRY = 0xAE;
+const TRACK_NUMBER = 0xD7;
+const TRACK_UID = 0x73C5;
+const TRACK_TYPE = 0x83;
+const FLAG_LACING = 0x9C;
+const CODEC_ID = 0x86;
+const DEFAULT_DURATION = 0x23E383;
+const VIDEO = 0xE0;
+const PIXEL_WIDTH = 0xB0;
+const PIXEL_HEIGHT = 0xBA;
+const CLUSTER = 0x1F43B675;
+const CLUSTER_TIMESTAMP = 0xE7;
+const SIMPLE_BLOCK = 0xA3;
+
+// Timestamps count in milliseconds (TimestampScale is in nanoseconds)
+const TIMESTAMP_SCALE_NS = 1000000;
+// A block's timestamp is a signed 16-bit offset from its cluster's
+const MAX_BLOCK_OFFSET = 32767;
+
+const TRACK = 1;
+const VIDEO_TRACK_TYPE = 1;
+
+// Big-endian bytes of a whole number, as few as it takes (at least minLength)
+function uintBytes(value, minLength = 1) {
+  const bytes = [];
+  for (let v = value; v > 0 || bytes.length < minLength; v = Math.floor(v / 256)) {
+    bytes.unshift(v % 256);
+  }
+  return new Uint8Array(bytes);
+}
+
+// An element size: a length marker bit, then the number (all ones is reserved)
+function sizeBytes(size) {
+  let length = 1;
+  while (size >= Math.pow(2, 7 * length) - 1) length++;
+  const bytes = uintBytes(size, length);
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function floatBytes(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function byteLength(parts) {
+  return parts.reduce((sum, part) => sum + part.length, 0);
+}
+
+// An element as a list of byte arrays (the content isn't copied). Content is a number,
+// a string, bytes, or a list of child elements' parts
+function element(id, content) {
+  let parts;
+  if (typeof content === 'number') {
+    parts = [uintBytes(content)];
+  } else if (typeof content === 'string') {
+    parts = [new TextEncoder().encode(content)];
+  } else if (content instanceof Uint8Array) {
+    parts = [content];
+  } else {
+    parts = content.flat();
+  }
+  return [uintBytes(id), sizeBytes(byteLength(parts)), ...parts];
+}
+
+export class WebMWriter {
+  /**
+   * @param {Object} options
+   * @param {string} options.codec - Matroska codec ID: 'V_VP9' or 'V_VP8'
+   * @param {number} options.width - Frame size in pixels
+   * @param {number} options.height
+   * @param {number} options.fps - Frame rate, for each frame's length
+   */
+  constructor({ codec, width, height, fps }) {
+    this.codec = codec;
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this.clusters = [];   // Finished clusters' parts
+    this.blocks = [];     // The open cluster's SimpleBlocks
+    this.clusterTime = 0; // The open cluster's timestamp (ms)
+    this.endTime = 0;     // When the last frame added ends (ms)
+  }
+
+  /**
+   * Add the next encoded frame, in the order the encoder gave it
+   * @param {EncodedVideoChunk} chunk - Its timestamp (µs) places it in the video
+   */
+  addFrame(chunk) {
+    const time = Math.round(chunk.timestamp / 1000);
+    const isKey = chunk.type === 'key';
+    // A cluster has to start on a keyframe for players to start there
+    if (this.blocks.length === 0 || isKey || time - this.clusterTime > MAX_BLOCK_OFFSET) {
+      this.closeCluster();
+      this.clusterTime = time;
+    }
+
+    // Track number, offset from the cluster, flags, then the frame itself
+    const header = new Uint8Array(4);
+    header[0] = 0x80 | TRACK;
+    new DataView(header.buffer).setInt16(1, time - this.clusterTime);
+    header[3] = isKey ? 0x80 : 0;
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this.blocks.push(element(SIMPLE_BLOCK, [[header, data]]));
+    this.endTime = Math.max(this.endTime, chunk.timestamp / 1000 + 1000 / this.fps);
+  }
+
+  closeCluster() {
+    if (this.blocks.length === 0) return;
+    this.clusters.push(element(CLUSTER, [element(CLUSTER_TIMESTAMP, this.clusterTime), ...this.blocks]));
+    this.blocks = [];
+  }
+
+  /**
+   * The finished file
+   * @returns {Blob}
+   */
+  finish() {
+    this.closeCluster();
+    const header = element(EBML, [
+      element(EBML_VERSION, 1),
+      element(EBML_READ_VERSION, 1),
+      element(EBML_MAX_ID_LENGTH, 4),
+      element(EBML_MAX_SIZE_LENGTH, 8),
+      element(DOC_TYPE, 'webm'),
+      element(DOC_TYPE_VERSION, 2),
+      element(DOC_TYPE_READ_VERSION, 2)
+    ]);
+    const info = element(INFO, [
+      element(TIMESTAMP_SCALE, TIMESTAMP_SCALE_NS),
+      element(DURATION, floatBytes(this.endTime)),
+      element(MUXING_APP, "Isometric Rubik's"),
+      element(WRITING_APP, "Isometric Rubik's")
+    ]);
+    const tracks = element(TRACKS, [
+      element(TRACK_ENTRY, [
+        element(TRACK_NUMBER, TRACK),
+        element(TRACK_UID, TRACK),
+        element(TRACK_TYPE, VIDEO_TRACK_TYPE),
+        element(FLAG_LACING, 0),
+        element(CODEC_ID, this.codec),
+        element(DEFAULT_DURATION, Math.round(1e9 / this.fps)),
+        element(VIDEO, [
+          element(PIXEL_WIDTH, this.width),
+          element(PIXEL_HEIGHT, this.height)
+        ])
+      ])
+    ]);
+    const segment = element(SEGMENT, [info, tracks, ...this.clusters]);
+    this.clusters = [];
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+  }
+}